@@ -1,20 +1,69 @@
 import { print, banner } from "./src/shared/utils.js";
 import { sequelize } from "./src/module/teapot/sqlite/sqlite_db.js";
-import { Account } from "./src/module/teapot/models/index.js";
+import { Account, syncModels } from "./src/module/teapot/models/index.js";
 import { encryptionService } from "./src/service/encryption.js";
+import { currencyService } from "./src/service/currency.js";
+import { dataCache } from "./src/service/dataCache.js";
+import { checkpointStore } from "./src/service/checkpoint.js";
+import { MarketAnalyzer } from "./src/service/MarketAnalyzer.js";
 import { SteamAccountManager } from "./src/service/SteamService.js";
 import { ExcelHandler } from "./src/module/excel/Excel.js"
+import { TaxReport } from "./src/service/TaxReport.js";
+import { MarketHistoryImporter } from "./src/service/MarketHistoryImporter.js";
+import { MarketHistoryFilter } from "./src/service/MarketHistoryFilter.js";
+import { inventorySnapshots } from "./src/service/InventorySnapshots.js";
+import { watchlist } from "./src/service/Watchlist.js";
+import { PricingService } from "./src/service/PricingService.js";
+import { InventoryValuation } from "./src/service/InventoryValuation.js";
+import { parseItemAttributes, groupByRarityAndCollection } from "./src/service/itemAttributes.js";
 import readline from 'readline';
 import chalk from 'chalk';
 
-import { MASTER_PASSWORD, INVENTORY_LIST, DEFAULT_REPORTS_FOLDER, EXCEL_STYLE } from "./src/config/app.config.js"
+import {
+    MASTER_PASSWORD, INVENTORY_LIST, DEFAULT_REPORTS_FOLDER, EXCEL_STYLE,
+    BASE_CURRENCY, CURRENCY_RATES_FILE, CURRENCY_DAILY_RATES_FILE, TAX_REPORTS_FOLDER,
+    MATCHING_METHOD, ANOMALY_THRESHOLDS, CHECKPOINT_FOLDER
+} from "./src/config/app.config.js"
 import { WELCOM_MESSAGE, SUB_TITLE } from "./src/shared/message.js"
 
 const steamManager = new SteamAccountManager();
 const excel = new ExcelHandler();
 
 // ============= CLI ARGUMENTS =============
-const targetUsername = process.argv[2]; // node index.js username
+// node index.js [username] [--tax-report] [--offline [--cache <file>]] [--import <path>[,<path>] [--steamid <id>]]
+//               [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--app <appid>[,<appid>]] [--item <name>] [--price-history]
+// node index.js [username] --watchlist
+const VALUE_FLAGS = ["cache", "import", "steamid", "since", "until", "app", "item"];
+
+function parseCliArgs(argv) {
+    const options = { username: null, flags: new Set(), values: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith("--")) {
+            const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (VALUE_FLAGS.includes(key)) {
+                options.values[key] = inlineValue ?? argv[++i];
+            } else {
+                options.flags.add(key);
+            }
+        } else if (!options.username) {
+            options.username = arg;
+        }
+    }
+
+    return options;
+}
+
+const cli = parseCliArgs(process.argv.slice(2));
+const targetUsername = cli.username;
+const taxReportRequested = cli.flags.has("tax-report");
+const priceHistoryRequested = cli.flags.has("price-history");
+const watchlistRequested = cli.flags.has("watchlist");
+const offlineMode = cli.flags.has("offline");
+const importPaths = cli.values.import ? cli.values.import.split(",").map(p => p.trim()).filter(Boolean) : null;
+let historyFilter = new MarketHistoryFilter();
 
 // ============= HELPER FUNCTIONS =============
 function askQuestion(query) {
@@ -36,29 +85,61 @@ async function main() {
     try {
         banner(WELCOM_MESSAGE, SUB_TITLE)
 
-        // System initialization
-        if (!await initializeSystem()) {
+        try {
+            historyFilter = MarketHistoryFilter.fromCli(cli.values);
+        } catch (error) {
+            print(error.message, "error");
             return;
         }
+        if (!historyFilter.isEmpty()) {
+            print(`Filter: ${historyFilter.describe()}`, "system");
+        }
 
-        // Select account
-        const accountData = await selectAccount(targetUsername);
-        if (!accountData) {
-            print("No account selected", "error");
+        // System initialization
+        if (!await initializeSystem()) {
             return;
         }
 
-        // Connecting to Steam
-        const client = await handleSteamLogin(accountData);
-        if (!client?.isConnected()) {
-            print("Failed to connect to Steam", "error");
-            return;
+        let reportData;
+
+        if (importPaths) {
+            // Market history saved from a browser or the Steam data export, no Steam login
+            reportData = await loadImportedData(targetUsername, importPaths, cli.values.steamid);
+        } else if (offlineMode) {
+            // Rebuild reports from cached data, no Steam login
+            reportData = await loadOfflineData(targetUsername, cli.values.cache);
+        } else {
+            // Select account
+            const accountData = await selectAccount(targetUsername);
+            if (!accountData) {
+                print("No account selected", "error");
+                return;
+            }
+
+            // Connecting to Steam
+            const client = await handleSteamLogin(accountData);
+            if (!client?.isConnected()) {
+                print("Failed to connect to Steam", "error");
+                return;
+            }
+
+            if (watchlistRequested) {
+                await checkWatchlist(client);
+                return;
+            }
+
+            // Data retrieval
+            reportData = await fetchSteamData(client);
         }
 
-        // Data retrieval and report generation
-        const reportData = await fetchSteamData(client);
+        // Report generation
         if (reportData) {
+            reportData.filter = historyFilter.describe();
             await generateExcelReport(reportData);
+
+            if (taxReportRequested) {
+                await generateTaxReport(reportData);
+            }
         }
     } catch (error) {
         print(`Main error: ${error.message}`, "error");
@@ -148,8 +229,9 @@ async function loadAccountCredentials(account) {
 async function initializeSystem() {
     const dbInit = await initializeDatabase();
     const encryptionInit = await initializeEncryption();
+    const currencyInit = await initializeCurrency();
 
-    if (!dbInit || !encryptionInit) {
+    if (!dbInit || !encryptionInit || !currencyInit) {
         print("System initialization failed", "error");
         return false;
     }
@@ -162,7 +244,7 @@ async function initializeDatabase() {
         await sequelize.authenticate();
         print("Database connection established", "system");
 
-        await sequelize.sync({ alter: true });
+        await syncModels();
         print("Database models synchronized", "system");
 
         return true;
@@ -190,6 +272,22 @@ async function initializeEncryption() {
     }
 }
 
+async function initializeCurrency() {
+    try {
+        await currencyService.initialize({
+            baseCurrency: BASE_CURRENCY,
+            ratesFile: CURRENCY_RATES_FILE,
+            dailyRatesFile: CURRENCY_DAILY_RATES_FILE
+        });
+        print(`Currency service initialized (base: ${currencyService.getBaseCurrency()})`, "system");
+
+        return true;
+    } catch (error) {
+        print(`Currency error: ${error.message}`, "error");
+        return false;
+    }
+}
+
 // ============= STEAM AUTHENTICATION =============
 async function handleSteamLogin(accountData) {
     try {
@@ -232,24 +330,166 @@ async function fetchSteamData(client) {
     print("Fetching Steam inventory and market history...", "system");
 
     const inventory = await fetchInventory(client);
-    const marketData = await fetchMarketData(client, inventory);
+    const marketHistory = await fetchMarketHistory(client);
 
-    if (!inventory && !marketData) {
+    if (!inventory && !marketHistory) {
         print("No data retrieved from Steam", "warning");
         return null;
     }
 
+    await saveDataCache(client, inventory, marketHistory);
+    const inventoryChanges = inventory ? await recordInventorySnapshot(client.accountId, inventory) : null;
+
+    if (priceHistoryRequested && inventory) {
+        await syncPriceHistory(client, historyFilter.filterInventory(inventory));
+    }
+    client.logRequestStats();
+
+    const marketData = marketHistory
+        ? await analyzeMarketData(client, marketHistory, inventory, client)
+        : {};
+
     return {
         accountId: client.accountId,
-        inventory,
+        steamId: client.getSteamId(),
+        inventory: historyFilter.filterInventory(inventory),
+        inventory_changes: inventoryChanges,
         ...marketData
     };
 }
 
+// Stores market price history of the held marketable items for offline analytics
+async function syncPriceHistory(client, inventory) {
+    try {
+        const items = inventory.items
+            .filter(item => item.marketable && item.market_hash_name)
+            .map(item => ({ appId: item.appId, marketHashName: item.market_hash_name }));
+
+        await client.syncPriceHistory(items, BASE_CURRENCY);
+    } catch (error) {
+        print(`Error syncing price history: ${error.message}`, "error");
+    }
+}
+
+// Checks watchlist prices, alerts arrive as 'priceAlert' events of the client
+async function checkWatchlist(client) {
+    const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${currency}`;
+
+    const unsubscribe = client.on('priceAlert', (alert) => {
+        const comparison = alert.signal === "buy" ? "<=" : ">=";
+        print(`${alert.signal.toUpperCase()} ${alert.marketHashName}: ${formatAmount(alert.price, alert.currency)} ${comparison} ${formatAmount(alert.threshold, alert.currency)}${alert.note ? ` (${alert.note})` : ""}`, "warning");
+    });
+
+    try {
+        await watchlist.check(client);
+    } catch (error) {
+        print(`Error checking watchlist: ${error.message}`, "error");
+    } finally {
+        unsubscribe();
+        client.logRequestStats();
+    }
+}
+
+// Saves the fetched inventory and compares it with the account's previous snapshot
+async function recordInventorySnapshot(accountId, inventory) {
+    try {
+        const snapshot = await inventorySnapshots.save(accountId, inventory);
+        const previous = await inventorySnapshots.previous(snapshot);
+        if (!previous) return null;
+
+        const changes = await inventorySnapshots.diffSnapshots(previous.id, snapshot.id);
+        print(`Inventory since snapshot #${previous.id}: +${changes.summary.gainedCount} / -${changes.summary.lostCount} items, ${changes.summary.changedCount} changed`, "system");
+        return changes;
+    } catch (error) {
+        print(`Error saving inventory snapshot: ${error.message}`, "error");
+        return null;
+    }
+}
+
+async function saveDataCache(client, inventory, marketHistory) {
+    try {
+        const filePath = await dataCache.save(client.accountId, {
+            steamId: client.getSteamId(),
+            inventory,
+            market_history: marketHistory,
+            filter: historyFilter.describe()
+        });
+        print(`Raw data cached: ${filePath}`, "system");
+    } catch (error) {
+        print(`Error caching data: ${error.message}`, "error");
+    }
+}
+
+// ============= OFFLINE MODE =============
+async function loadOfflineData(username, cachePath) {
+    try {
+        const cache = await dataCache.load(cachePath, username);
+        print(`Offline mode: using ${cache.filePath} (cached ${new Date(cache.createdAt).toLocaleString()})`, "system");
+        if (cache.filter && cache.filter !== "none") {
+            print(`Cached data was fetched with the filter ${cache.filter} and may be incomplete`, "warning");
+        }
+
+        const analyzer = new MarketAnalyzer(cache.accountId, cache.steamId, {
+            matchingMethod: MATCHING_METHOD,
+            anomalyThresholds: ANOMALY_THRESHOLDS
+        });
+
+        const marketData = cache.market_history
+            ? await analyzeMarketData(analyzer, cache.market_history, cache.inventory)
+            : {};
+
+        return {
+            accountId: cache.accountId,
+            steamId: cache.steamId,
+            inventory: historyFilter.filterInventory(cache.inventory),
+            ...marketData
+        };
+    } catch (error) {
+        print(`Error loading cached data: ${error.message}`, "error");
+        return null;
+    }
+}
+
+// ============= IMPORT =============
+async function loadImportedData(username, paths, steamId = null) {
+    try {
+        // A known account supplies the SteamID that tells own purchases from sales
+        const account = username ? await Account.findOne({ where: { username } }) : null;
+
+        const importer = new MarketHistoryImporter({ steamId: steamId || account?.steamId });
+        const { history, steamId: ownerId } = await importer.import(paths);
+
+        if (history.events.length === 0 && Object.keys(history.purchases).length === 0) {
+            print("No market history found in the imported files", "warning");
+            return null;
+        }
+
+        const accountId = username || "import";
+        const analyzer = new MarketAnalyzer(accountId, ownerId, {
+            matchingMethod: MATCHING_METHOD,
+            anomalyThresholds: ANOMALY_THRESHOLDS
+        });
+
+        return {
+            accountId,
+            steamId: ownerId,
+            inventory: null,
+            ...await analyzeMarketData(analyzer, history, null)
+        };
+    } catch (error) {
+        print(`Error importing market history: ${error.message}`, "error");
+        return null;
+    }
+}
+
 async function fetchInventory(client) {
     try {
-        const inventory = await client.getFullInventory(INVENTORY_LIST);
+        const { inventoryList, added } = await client.resolveInventoryList(INVENTORY_LIST);
+        const inventory = await client.getFullInventory(historyFilter.filterInventoryConfigs(inventoryList));
         print(`Successfully fetched ${inventory.items.length} items from inventory`, "success");
+
+        // Inventories found on the profile that are not in config.json
+        inventory.discovered = added.map(({ appId, contextId, title, assetCount }) => ({ appId, contextId, title, assetCount }));
         return inventory;
     } catch (error) {
         print(`Error fetching inventory: ${error.message}`, "error");
@@ -257,26 +497,75 @@ async function fetchInventory(client) {
     }
 }
 
-async function fetchMarketData(client, inventory) {
+async function fetchMarketHistory(client) {
     try {
-        const marketHistory = await client.getFullMarketHistory();
-        const processedHistory = client.parseMarketHistory(marketHistory);
+        // Steam searches market history by item name, so an --item run fetches only the matching
+        // records and leaves the database alone. The tax report covers the whole history and syncs.
+        if (historyFilter.item && !taxReportRequested) {
+            return await client.searchMarketHistory(historyFilter.item);
+        }
+
+        await client.syncMarketHistory();
+        return await client.loadMarketHistory();
+    } catch (error) {
+        print(`Error fetching market history: ${error.message}`, "error");
+        console.error(error.stack);
+        return null;
+    }
+}
+
+// ============= ANALYSIS =============
+// analyzer is a logged-in SteamClient or a standalone MarketAnalyzer (offline), both expose the same methods
+// The app/item filter applies to the raw history, the time window to the parsed transactions
+async function analyzeMarketData(analyzer, marketHistory, inventory, client = null) {
+    try {
+        const filteredHistory = historyFilter.filterHistory(marketHistory);
+        const allTransactions = analyzer.parseMarketHistory(filteredHistory);
+        const processedHistory = historyFilter.filterParsedHistory(allTransactions);
+        const marketStats = analyzer.calculateROI(processedHistory.transactions);
+        const filteredInventory = historyFilter.filterInventory(inventory);
+
+        // Held items may have been bought before the window, so match against every purchase
+        const matched = filteredInventory
+            ? analyzer.matchInventoryWithPurchases(allTransactions.transactions, filteredInventory.items)
+            : null;
 
         return {
-            market_history: marketHistory,
-            market_overall_stats: client.calculateTransactionStatistics(processedHistory),
-            market_stats: client.calculateROI(processedHistory.transactions),
-            matched_inventory_with_purchases: inventory
-                ? client.matchInventoryWithPurchases(processedHistory.transactions, inventory.items)
-                : null
+            market_history: filteredHistory,
+            // Fiscal-year statements must cover every disposal, whatever the report filter
+            unfiltered_market_history: marketHistory,
+            market_overall_stats: analyzer.calculateTransactionStatistics(processedHistory),
+            market_stats: marketStats,
+            holding_stats: analyzer.summarizeHoldingPeriods(marketStats),
+            listing_stats: analyzer.parseListingLifecycle(filteredHistory),
+            anomalies: analyzer.detectAnomalies(processedHistory, marketStats),
+            matched_inventory_with_purchases: matched,
+            inventory_valuation: matched ? await fetchInventoryValuation(client, matched.matched) : null
         };
     } catch (error) {
-        print(`Error fetching market history: ${error.message}`, "error");
+        print(`Error analyzing market history: ${error.message}`, "error");
         console.error(error.stack);
         return {};
     }
 }
 
+async function fetchInventoryValuation(client, matchedItems) {
+    try {
+        if (client) {
+            return await client.valueMatchedInventory(matchedItems);
+        }
+
+        // Without a Steam session only local providers (price file, mock) can value the inventory
+        const pricing = new PricingService(null);
+        if (!pricing.canPriceOffline()) return null;
+
+        return await new InventoryValuation(null, { pricing }).valueItems(matchedItems);
+    } catch (error) {
+        print(`Error valuing inventory: ${error.message}`, "error");
+        return null;
+    }
+}
+
 // ============= GENERATION OF EXCEL REPORT =============
 async function generateExcelReport(data) {
     try {
@@ -285,14 +574,32 @@ async function generateExcelReport(data) {
 
         writeDashboardSheet(data);
         if (data.matched_inventory_with_purchases) {
-            writeMatchedSheets(data.matched_inventory_with_purchases);
+            writeMatchedSheets(data.matched_inventory_with_purchases, data.inventory_valuation);
         }
         if (data.market_stats) {
             writeROISheet(data.market_stats);
         }
+        if (data.listing_stats) {
+            writeListingsSheet(data.listing_stats);
+        }
+        if (data.holding_stats) {
+            writeHoldingSheet(data.holding_stats);
+        }
+        if (data.market_overall_stats?.items) {
+            writeItemSheets(data.market_overall_stats.items);
+        }
+        if (data.market_overall_stats?.timeline) {
+            writeTimelineSheet(data.market_overall_stats.timeline);
+        }
+        if (data.anomalies) {
+            writeAnomaliesSheet(data.anomalies);
+        }
         if (data.inventory) {
             writeInventorySheet(data.inventory);
         }
+        if (data.inventory_changes) {
+            writeInventoryChangesSheet(data.inventory_changes);
+        }
 
         await excel.save(`./${DEFAULT_REPORTS_FOLDER}/report_${data.accountId}_${date}.xlsx`);
         print(`Excel report saved: report_${data.accountId}_${date}.xlsx`, "success");
@@ -306,23 +613,42 @@ function writeDashboardSheet(data) {
     if (!data.market_overall_stats) return;
 
     const stats = data.market_overall_stats.overall;
+    const valuation = data.inventory_valuation?.totals;
     const dashboardData = [
-        ["Total Invested", stats.totalInvested, "", "Total Transactions", stats.totalTransactions],
-        ["Total Received", stats.totalReceived, "", "Purchases Count", stats.purchasesCount],
-        ["Total Profit", stats.totalProfit, "", "Sales Count", stats.salesCount],
-        ["ROI %", stats.roiPercent, "", "Received Sales", stats.receivedSales],
+        ["Total Invested", stats.totalInvested, "", "Total Transactions", stats.totalTransactions, "", "Held Cost Basis", valuation?.costBasis ?? ""],
+        ["Total Received", stats.totalReceived, "", "Purchases Count", stats.purchasesCount, "", "Market Value", valuation?.currentValue ?? ""],
+        ["Realized Profit", stats.totalProfit, "", "Sales Count", stats.salesCount, "", "Net After Fees", valuation?.netValue ?? ""],
+        ["ROI %", stats.roiPercent, "", "Received Sales", stats.receivedSales, "", "Unrealized P&L", valuation?.unrealizedProfit ?? ""],
+        ["", "", "", "", "", "", "Priced Items", valuation ? `${valuation.pricedCount} / ${valuation.itemsCount}${valuation.stalePriceCount ? ` (${valuation.stalePriceCount} stale)` : ""}` : ""],
+        ["Base Currency", stats.baseCurrency, "", "Unconverted Currencies", stats.unconvertedCurrencies.join(", ")],
+        ["Filter", data.filter ?? "none"],
+        ["Discovered Inventories", (data.inventory?.discovered ?? []).map(d => `${d.title} [${d.appId}:${d.contextId}]`).join("; ") || "none"],
+        ["Missing Inventories", (data.inventory?.failures ?? []).map(f => `${f.title || f.source} (${f.reason}: ${f.message})`).join("; ") || "none"],
+        [],
+        ["Currency", "Invested (original)", "Received (original)"],
+        ...data.market_overall_stats.byCurrency.map(c => [c.currency, c.invested, c.received])
     ];
 
     excel.writeArrayToSheet("Dashboard", dashboardData, EXCEL_STYLE);
 }
 
-function writeMatchedSheets(matchedData) {
-    const matched = matchedData.matched.map(item => ({
+function writeMatchedSheets(matchedData, valuation = null) {
+    const matchedItems = valuation ? valuation.items : matchedData.matched;
+
+    const matched = matchedItems.map(item => ({
         appid: item.appid,
         assetid: item.assetid,
         market_hash_name: item.market_hash_name,
         paid_total: item.paid_total,
-        currencyid: item.currencyid,
+        currency: item.currency,
+        paid_total_base: item.paid_total_base,
+        break_even_list_price: item.break_even_list_price,
+        current_price: item.current_price ?? null,
+        price_source: item.price_source ?? null,
+        price_stale: item.price_stale ?? null,
+        price_fetched_at: item.price_fetched_at ?? null,
+        net_value: item.net_value ?? null,
+        unrealized_profit: item.unrealized_profit ?? null,
         match_type: item.match_type,
         time_sold: item.time_sold,
         transaction_status: item.transaction_status
@@ -333,7 +659,8 @@ function writeMatchedSheets(matchedData) {
         assetid: item.assetid,
         market_name: item.market_name,
         paid_total: item.paid_total,
-        currencyid: item.currencyid,
+        currency: item.currency,
+        paid_total_base: item.paid_total_base,
         match_type: item.match_type,
         time_sold: item.time_sold,
         transaction_status: item.transaction_status
@@ -348,9 +675,18 @@ function writeROISheet(marketStats) {
         appid: item.appid,
         market_name: item.market_name,
         buy_price: item.buy_price,
+        buy_currency: item.buy_currency,
         sell_price: item.sell_price,
+        sell_currency: item.sell_currency,
+        buy_price_base: item.buy_price_base,
+        sell_price_base: item.sell_price_base,
+        base_currency: item.base_currency,
         profit: item.profit,
         roi_percent: item.roi_percent,
+        match_method: item.match_method,
+        days_held: item.days_held,
+        profit_per_day: item.profit_per_day,
+        annualized_roi_percent: item.annualized_roi_percent,
         time_purchase: item.time_purchase,
         time_sale: item.time_sale
     }));
@@ -358,18 +694,215 @@ function writeROISheet(marketStats) {
     excel.writeObjectsToSheet("ROI", roiData, EXCEL_STYLE);
 }
 
-function writeInventorySheet(inventory) {
-    const inventoryData = inventory.items.map(item => ({
-        assetid: item.assetid,
-        appId: item.appId,
-        market_hash_name: item.market_hash_name,
-        type: item.type,
-        tradable: item.tradable,
-        marketable: item.marketable,
-        commodity: item.commodity
+function writeListingsSheet(listingStats) {
+    const listingsData = listingStats.items.map(item => ({
+        appid: item.appid,
+        market_name: item.market_name,
+        listings: item.listings_count,
+        sold: item.sold_count,
+        cancelled: item.cancelled_count,
+        active: item.active_count,
+        relists: item.relist_count,
+        cancel_rate_percent: item.cancel_rate_percent,
+        avg_time_to_sell_hours: item.avg_time_to_sell_hours,
+        avg_price_change: item.avg_price_change
+    }));
+
+    excel.writeObjectsToSheet("Listings", listingsData, EXCEL_STYLE);
+}
+
+// Original amounts per currency in one cell, e.g. "1250 EUR, 300 USD" (minor units)
+function formatOriginalAmounts(amounts = {}) {
+    return Object.entries(amounts).map(([currency, amount]) => `${amount} ${currency}`).join(", ");
+}
+
+function writeHoldingSheet(holdingStats) {
+    const holdingData = [
+        ["Pairs", holdingStats.pairsCount],
+        ["Median Days Held", holdingStats.medianDaysHeld],
+        ["Average Days Held", holdingStats.averageDaysHeld],
+        [],
+        ["Holding Time", "Pairs", "Invested", "Profit", "ROI %", "Avg Profit / Day", "Invested (original)", "Received (original)"],
+        ...holdingStats.buckets.map(b => [b.label, b.count, b.invested, b.profit, b.roiPercent, b.avgProfitPerDay, formatOriginalAmounts(b.investedOriginal), formatOriginalAmounts(b.receivedOriginal)])
+    ];
+
+    excel.writeArrayToSheet("Holding Periods", holdingData, EXCEL_STYLE);
+}
+
+function writeItemSheets(items) {
+    const itemsData = items.map(item => ({
+        market_name: item.marketName,
+        total_invested: item.totalInvested,
+        total_received: item.totalReceived,
+        net_profit: item.netProfit,
+        invested_original: formatOriginalAmounts(item.investedOriginal),
+        received_original: formatOriginalAmounts(item.receivedOriginal),
+        purchase_count: item.purchaseCount,
+        sale_count: item.saleCount,
+        avg_buy_price: item.avgBuyPrice,
+        avg_sell_price: item.avgSellPrice,
+        completed_count: item.completedCount,
+        uncompleted_count: item.uncompletedCount,
+        received_count: item.receivedCount
     }));
 
+    const transactionsData = items.flatMap(item =>
+        item.transactions.map(tx => ({
+            market_name: item.marketName,
+            date: tx.date,
+            type: tx.type,
+            status: tx.status,
+            amount: tx.amount,
+            currency: tx.currency,
+            amount_base: tx.amountBase,
+            transaction_id: tx.transactionId,
+            asset_id: tx.assetId
+        }))
+    );
+
+    excel.writeObjectsToSheet("Items", itemsData, EXCEL_STYLE);
+    excel.writeObjectsToSheet("Item Transactions", transactionsData, EXCEL_STYLE);
+}
+
+function writeTimelineSheet(timeline) {
+    const timelineData = ["year", "month", "week", "day"].flatMap(granularity =>
+        (timeline[granularity] || []).map(bucket => ({
+            granularity,
+            period: bucket.period,
+            invested: bucket.invested,
+            received: bucket.received,
+            profit: bucket.profit,
+            roi_percent: bucket.roiPercent,
+            invested_original: formatOriginalAmounts(bucket.investedOriginal),
+            received_original: formatOriginalAmounts(bucket.receivedOriginal),
+            purchases: bucket.purchases,
+            sales: bucket.sales
+        }))
+    );
+
+    excel.writeObjectsToSheet("Timeline", timelineData, EXCEL_STYLE);
+}
+
+function writeAnomaliesSheet(anomalies) {
+    const anomaliesData = anomalies.map(anomaly => ({
+        type: anomaly.type,
+        severity: anomaly.severity,
+        market_name: anomaly.market_name,
+        value: anomaly.value,
+        message: anomaly.message,
+        transaction_ids: anomaly.transaction_ids.filter(Boolean).join(", ")
+    }));
+
+    excel.writeObjectsToSheet("Anomalies", anomaliesData, EXCEL_STYLE);
+}
+
+function writeInventorySheet(inventory) {
+    const inventoryData = inventory.items.map(item => {
+        const attributes = parseItemAttributes(item);
+        return {
+            assetid: item.assetid,
+            appId: item.appId,
+            market_hash_name: item.market_hash_name,
+            type: item.type,
+            rarity: attributes.rarity,
+            quality: attributes.quality,
+            exterior: attributes.exterior,
+            weapon_type: attributes.weapon_type,
+            collection: attributes.collection,
+            hero: attributes.hero,
+            tradable: item.tradable,
+            marketable: item.marketable,
+            tradable_after: attributes.tradable_after,
+            marketable_after: attributes.marketable_after,
+            commodity: item.commodity
+        };
+    });
+
     excel.writeObjectsToSheet("Inventory", inventoryData, EXCEL_STYLE);
+
+    // Sheet names can't contain "/" and are limited to 31 characters
+    const groups = groupByRarityAndCollection(inventory.items).map(group => ({
+        appId: group.appId,
+        rarity: group.rarity,
+        collection: group.collection,
+        items: group.items,
+        tradable: group.tradable,
+        marketable: group.marketable,
+        distinct_items: group.names.length,
+        examples: group.names.slice(0, 5).join(", ")
+    }));
+
+    excel.writeObjectsToSheet("Inventory Rarity & Collection", groups, EXCEL_STYLE);
+}
+
+function writeInventoryChangesSheet(changes) {
+    const columns = ["change", "appid", "contextid", "assetid", "market_hash_name", "amount", "tradable", "marketable", "amount_before", "tradable_before", "marketable_before"];
+    const rows = [...changes.lost, ...changes.gained, ...changes.changed];
+
+    excel.writeArrayToSheet("Inventory Changes", [
+        ["Compared With", `#${changes.from.id} (${new Date(changes.from.takenAt).toLocaleString()})`],
+        ["Current Snapshot", `#${changes.to.id} (${new Date(changes.to.takenAt).toLocaleString()})`],
+        ["Gained", changes.summary.gainedCount, "", "Lost", changes.summary.lostCount, "", "Changed", changes.summary.changedCount],
+        ["Not Compared", changes.summary.ignoredSources.join(", ")],
+        [],
+        columns,
+        ...rows.map(row => columns.map(column => row[column] ?? ""))
+    ], EXCEL_STYLE);
+}
+
+// ============= TAX REPORT =============
+async function generateTaxReport(data) {
+    try {
+        if (!data.unfiltered_market_history) {
+            print("Tax report skipped: no market history", "warning");
+            return;
+        }
+        if (!historyFilter.isEmpty()) {
+            print(`Tax report covers the whole market history, the filter (${historyFilter.describe()}) only applies to the daily report`, "system");
+        }
+
+        const report = await new TaxReport(data.accountId, data.steamId).build(data.unfiltered_market_history);
+        const date = new Date().toISOString().split('T')[0];
+        const baseName = `tax_${data.accountId}_${date}`;
+
+        const taxExcel = new ExcelHandler().createNew();
+
+        taxExcel.writeArrayToSheet("Summary", [
+            ["Account", data.accountId],
+            ["Currency", report.currency],
+            ["Cost Basis Method", report.costBasisMethod],
+            ["Fiscal Year Start", report.fiscalYearStart],
+            [],
+            ["Fiscal Year", "Disposals", "Proceeds", "Cost", "Gains", "Losses", "Net Gain", "Unknown Cost Disposals"],
+            ...report.fiscalYears.map(y => [
+                y.fiscal_year, y.disposals, y.proceeds, y.cost, y.gains, y.losses, y.net_gain, y.unknown_cost_disposals
+            ])
+        ], EXCEL_STYLE);
+
+        taxExcel.writeObjectsToSheet("Disposals", report.disposals.map(d => ({
+            fiscal_year: d.fiscal_year,
+            market_name: d.market_name,
+            appid: d.appid,
+            acquisition_date: d.acquisition_date,
+            disposal_date: d.disposal_date,
+            proceeds: d.proceeds,
+            cost: d.cost,
+            gain: d.gain,
+            days_held: d.days_held,
+            cost_basis_known: d.cost_basis_known,
+            match_method: d.match_method,
+            purchase_id: d.purchase_id,
+            sale_id: d.sale_id
+        })), EXCEL_STYLE);
+
+        await taxExcel.save(`./${TAX_REPORTS_FOLDER}/${baseName}.xlsx`);
+        await taxExcel.saveSheetAsCsv("Disposals", `./${TAX_REPORTS_FOLDER}/${baseName}.csv`);
+
+        print(`Tax report saved: ${baseName}.xlsx / ${baseName}.csv`, "success");
+    } catch (error) {
+        print(`Error generating tax report: ${error.message}`, "error");
+        console.error(error.stack);
+    }
 }
 
 // ============= SIGNAL PROCESSORS =============
@@ -381,6 +914,11 @@ async function gracefulShutdown(signal) {
         steamManager.removeClient(acc.accountId);
     }
 
+    // Checkpoints are written after every fetched page, so nothing is lost on interrupt
+    if (activeAccounts.length > 0 && checkpointStore.isEnabled()) {
+        print(`Fetch progress kept in ${CHECKPOINT_FOLDER}, the next run resumes where it stopped`, "system");
+    }
+
     await sequelize.close();
     print("Database connection closed", "system");
 
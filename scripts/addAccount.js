@@ -1,6 +1,6 @@
 import readline from 'readline';
 import { sequelize } from "../src/module/teapot/sqlite/sqlite_db.js";
-import { Account } from "../src/module/teapot/models/index.js";
+import { Account, syncModels } from "../src/module/teapot/models/index.js";
 import { encryptionService } from "../src/service/encryption.js";
 import { print, banner } from "../src/shared/utils.js";
 import { MASTER_PASSWORD } from "../src/config/app.config.js";
@@ -22,7 +22,7 @@ async function addAccount() {
 
         // Initialize system
         await sequelize.authenticate();
-        await sequelize.sync({ alter: true });
+        await syncModels();
         
         if (!MASTER_PASSWORD) {
             print("MASTER_PASSWORD not found in .env file", "error");
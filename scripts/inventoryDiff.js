@@ -0,0 +1,64 @@
+import { sequelize } from "../src/module/teapot/sqlite/sqlite_db.js";
+import { inventorySnapshots } from "../src/service/InventorySnapshots.js";
+import { print, banner } from "../src/shared/utils.js";
+
+// node scripts/inventoryDiff.js <username>                  - list snapshots, diff the two newest
+// node scripts/inventoryDiff.js <username> <fromId> <toId>  - diff two snapshots
+async function inventoryDiff() {
+    try {
+        banner("INVENTORY SNAPSHOTS", "Items gained, lost and changed between runs");
+
+        await sequelize.authenticate();
+        await sequelize.sync();
+
+        const [username, fromArg, toArg] = process.argv.slice(2);
+        if (!username) {
+            print("Usage: npm run inventory:diff -- <username> [fromId] [toId]", "error");
+            process.exit(1);
+        }
+
+        const snapshots = await inventorySnapshots.list(username);
+        if (snapshots.length === 0) {
+            print(`No inventory snapshots found for ${username}`, "warning");
+            process.exit(0);
+        }
+
+        print(`Snapshots of ${username}: ${snapshots.length}`, "data");
+        for (const snapshot of snapshots) {
+            print(`  #${snapshot.id}  ${new Date(snapshot.takenAt).toLocaleString()}  ${snapshot.itemsCount} items  [${snapshot.sources.join(", ")}]`, "system");
+        }
+        print("", "system");
+
+        let fromId = Number(fromArg);
+        let toId = Number(toArg);
+
+        if (!fromArg || !toArg) {
+            if (snapshots.length < 2) {
+                print("At least two snapshots are needed for a diff", "warning");
+                process.exit(0);
+            }
+            [toId, fromId] = [snapshots[0].id, snapshots[1].id];
+        }
+
+        const diff = await inventorySnapshots.diffSnapshots(fromId, toId);
+
+        print(`Snapshot #${diff.from.id} -> #${diff.to.id}: +${diff.summary.gainedCount} gained, -${diff.summary.lostCount} lost, ${diff.summary.changedCount} changed`, "data");
+        if (diff.summary.ignoredSources.length > 0) {
+            print(`Not fetched in both snapshots, skipped: ${diff.summary.ignoredSources.join(", ")}`, "warning");
+        }
+
+        const describe = item => `${item.market_hash_name || "Unknown Item"} (app ${item.appid}, asset ${item.assetid}${item.amount > 1 ? `, x${item.amount}` : ""})`;
+
+        for (const item of diff.lost) print(`- ${describe(item)}`, "error");
+        for (const item of diff.gained) print(`+ ${describe(item)}`, "success");
+        for (const item of diff.changed) print(`~ ${describe(item)}: ${item.change}`, "warning");
+
+        process.exit(0);
+    } catch (error) {
+        print(`Error: ${error.message}`, "error");
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+inventoryDiff();
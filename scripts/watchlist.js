@@ -0,0 +1,136 @@
+import { sequelize } from "../src/module/teapot/sqlite/sqlite_db.js";
+import { watchlist } from "../src/service/Watchlist.js";
+import { currencyService } from "../src/service/currency.js";
+import { print, banner } from "../src/shared/utils.js";
+
+import { BASE_CURRENCY, CURRENCY_RATES_FILE, CURRENCY_DAILY_RATES_FILE } from "../src/config/app.config.js"
+
+const USAGE = [
+    "npm run watchlist -- list",
+    "npm run watchlist -- add <appid> \"<market_hash_name>\" [--buy-below 1.50] [--sell-above 3.00] [--currency USD] [--note text]",
+    "npm run watchlist -- remove <id>",
+    "npm run watchlist -- enable|disable <id>",
+    "npm run watchlist -- history <id>"
+];
+
+const formatAmount = (amount, currency) => amount == null ? "-" : `${(amount / 100).toFixed(2)} ${currency}`;
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith("--")) {
+            options[argv[i].slice(2)] = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    return { positional, options };
+}
+
+function parseThreshold(value, flag) {
+    if (value === undefined) return undefined;
+
+    const amount = currencyService.parsePrice(value);
+    if (amount === null) {
+        throw new Error(`Invalid --${flag} price: ${value}`);
+    }
+    return amount;
+}
+
+// Checking prices needs a Steam session: node index.js <username> --watchlist
+async function manageWatchlist() {
+    try {
+        banner("WATCHLIST", "Buy-below and sell-above price alerts");
+
+        await sequelize.authenticate();
+        await sequelize.sync();
+
+        // The default currency of new items is the configured base currency
+        await currencyService.initialize({
+            baseCurrency: BASE_CURRENCY,
+            ratesFile: CURRENCY_RATES_FILE,
+            dailyRatesFile: CURRENCY_DAILY_RATES_FILE
+        });
+
+        const { positional: [command = "list", ...args], options } = parseArgs(process.argv.slice(2));
+
+        switch (command) {
+            case "list": {
+                const items = await watchlist.list();
+                if (items.length === 0) {
+                    print("Watchlist is empty", "warning");
+                    break;
+                }
+
+                for (const item of items) {
+                    const [last] = await watchlist.evaluations(item.id, 1);
+                    const lastCheck = last
+                        ? `last ${formatAmount(last.price, item.currency)}${last.stale ? " (stale)" : ""}${last.signal ? ` ${last.signal.toUpperCase()}` : ""} at ${new Date(last.evaluatedAt).toLocaleString()}`
+                        : "not checked yet";
+
+                    print(`#${item.id} [${item.appid}] ${item.marketHashName}  buy <= ${formatAmount(item.buyBelow, item.currency)}  sell >= ${formatAmount(item.sellAbove, item.currency)}  ${item.enabled ? "" : "(disabled)  "}${lastCheck}${item.note ? `  - ${item.note}` : ""}`, item.enabled ? "data" : "system");
+                }
+                break;
+            }
+
+            case "add": {
+                const [appId, marketHashName] = args;
+                if (!Number(appId) || !marketHashName) {
+                    throw new Error(`Usage: ${USAGE[1]}`);
+                }
+
+                const item = await watchlist.add({
+                    appId: Number(appId),
+                    marketHashName,
+                    currency: (options.currency || currencyService.getBaseCurrency()).toUpperCase(),
+                    buyBelow: parseThreshold(options["buy-below"], "buy-below"),
+                    sellAbove: parseThreshold(options["sell-above"], "sell-above"),
+                    note: options.note
+                });
+                print(`Watching ${item.marketHashName} in ${item.currency}`, "success");
+                break;
+            }
+
+            case "remove": {
+                const removed = await watchlist.remove(Number(args[0]));
+                print(removed ? `Removed #${args[0]} and its history` : `No watchlist item #${args[0]}`, removed ? "success" : "warning");
+                break;
+            }
+
+            case "enable":
+            case "disable": {
+                const updated = await watchlist.setEnabled(Number(args[0]), command === "enable");
+                print(updated ? `#${args[0]} ${command}d` : `No watchlist item #${args[0]}`, updated ? "success" : "warning");
+                break;
+            }
+
+            case "history": {
+                const evaluations = await watchlist.evaluations(Number(args[0]), Number(options.limit) || 20);
+                if (evaluations.length === 0) {
+                    print(`No checks recorded for #${args[0]}`, "warning");
+                    break;
+                }
+
+                for (const evaluation of evaluations) {
+                    print(`${new Date(evaluation.evaluatedAt).toLocaleString()}  ${evaluation.price == null ? "no price" : (evaluation.price / 100).toFixed(2)}${evaluation.stale ? " (stale)" : ""}  ${evaluation.signal || "-"}${evaluation.alerted ? "  ALERT" : ""}`, evaluation.alerted ? "warning" : "system");
+                }
+                break;
+            }
+
+            default:
+                print(`Unknown command ${command}. Usage:`, "error");
+                USAGE.forEach(line => print(`  ${line}`, "system"));
+                process.exit(1);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        print(`Error: ${error.message}`, "error");
+        process.exit(1);
+    }
+}
+
+manageWatchlist();
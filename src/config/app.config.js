@@ -6,8 +6,46 @@ export const MASTER_PASSWORD = process.env.MASTER_PASSWORD;
 export const STEAM_USERNAME = process.env.STEAM_USERNAME;
 export const STEAM_PASSWORD = process.env.STEAM_PASSWORD;
 export const STEAM_SHARED_SECRET = process.env.STEAM_SHARED_SECRET;
+export const SQLITE_STORAGE = process.env.SQLITE_STORAGE || "./pot.sqlite";
 export const INVENTORY_LIST = config.inventory_list
-export const INVENTORY_DELAY = config.inventory_delay
+export const INVENTORY_DISCOVERY = config.inventory_discovery || { enabled: false }
+export const INVENTORY_CONCURRENCY = config.inventory_fetch?.concurrency ?? 3
+export const INVENTORY_REQUESTS_PER_MINUTE = config.inventory_fetch?.requests_per_minute ?? 20
+export const INVENTORY_TIMEOUT = config.inventory_fetch?.timeout ?? 120000
 export const MARKET_HISTORY_DELAY = config.market_history_delay
+export const REQUESTS_PER_MINUTE = config.request_limits?.requests_per_minute ?? 20
+export const REQUEST_MAX_RETRIES = config.request_limits?.max_retries ?? 5
+export const REQUEST_BASE_DELAY = config.request_limits?.base_delay ?? 2000
+export const REQUEST_MAX_DELAY = config.request_limits?.max_delay ?? 60000
 export const DEFAULT_REPORTS_FOLDER = config.default_reports_folder
+export const CACHE_FOLDER = config.cache_folder || "cache"
+export const CHECKPOINT_FOLDER = config.checkpoint_folder || `${CACHE_FOLDER}/checkpoints`
+export const CHECKPOINT_MAX_AGE = config.checkpoint_max_age ?? 86400000
 export const EXCEL_STYLE = config.excel_style
+export const MATCHING_METHOD = config.market_analyzer?.matching_method || "fifo"
+export const ANOMALY_THRESHOLDS = {
+  lossThresholdPercent: config.anomalies?.loss_threshold_percent ?? 20,
+  roiOutlierIqrMultiplier: config.anomalies?.roi_outlier_iqr_multiplier ?? 3,
+  burstPurchaseCount: config.anomalies?.burst_purchase_count ?? 5,
+  burstWindowHours: config.anomalies?.burst_window_hours ?? 24
+}
+export const PRICE_HISTORY_MAX_ITEMS = config.price_history?.max_items_per_run ?? 50
+export const PRICE_HISTORY_REFRESH_INTERVAL = config.price_history?.refresh_interval ?? 3600000
+export const PRICE_CACHE_TTL = config.valuation?.price_cache_ttl ?? 3600000
+export const PRICE_CONCURRENCY = config.valuation?.concurrency ?? 2
+export const PRICE_REQUESTS_PER_MINUTE = config.valuation?.requests_per_minute ?? 20
+export const PRICE_TIMEOUT = config.valuation?.timeout ?? 30000
+export const PRICE_PROVIDER = config.price_provider || { chain: ["steam"] }
+export const WATCHLIST_MAX_PRICE_AGE = config.watchlist?.max_price_age ?? 300000
+export const STEAM_FEE_RATE = config.fees?.steam_fee_rate ?? 0.05
+export const DEFAULT_PUBLISHER_FEE_RATE = config.fees?.default_publisher_fee_rate ?? 0.10
+export const PUBLISHER_FEE_RATES = config.fees?.publisher_fee_rates || {}
+export const MIN_MARKET_FEE = config.fees?.min_fee ?? 1
+export const TAX_FISCAL_YEAR_START_MONTH = config.tax_report?.fiscal_year_start_month ?? 1
+export const TAX_FISCAL_YEAR_START_DAY = config.tax_report?.fiscal_year_start_day ?? 1
+export const TAX_COST_BASIS_METHOD = config.tax_report?.cost_basis_method || "fifo"
+export const TAX_CURRENCY = config.tax_report?.currency || config.currency?.base_currency || "USD"
+export const TAX_REPORTS_FOLDER = config.tax_report?.folder || `${config.default_reports_folder}/tax`
+export const BASE_CURRENCY = config.currency?.base_currency || "USD"
+export const CURRENCY_RATES_FILE = config.currency?.rates_file || null
+export const CURRENCY_DAILY_RATES_FILE = config.currency?.daily_rates_file || null
@@ -56,6 +56,31 @@ export class ExcelHandler {
         return this;
     }
 
+    /**
+     * Save one sheet as a CSV file
+     */
+    async saveSheetAsCsv(sheetName, filePath) {
+        if (!this.workbook) {
+            throw new Error('Workbook not initialized');
+        }
+
+        if (!this.workbook.Sheets[sheetName]) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
+
+        const csv = XLSX.utils.sheet_to_csv(this.workbook.Sheets[sheetName]);
+
+        const directory = dirname(filePath);
+        try {
+            await access(directory);
+        } catch (error) {
+            await mkdir(directory, { recursive: true });
+        }
+
+        await writeFile(filePath, csv, 'utf-8');
+        return this;
+    }
+
     /**
      * Get all pages
      */
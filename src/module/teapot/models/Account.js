@@ -57,6 +57,21 @@ export const Account = sequelize.define('Account', {
         allowNull: true,
         comment: 'Last successful login timestamp'
     },
+    marketHistorySyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Last market history sync timestamp'
+    },
+    marketHistoryComplete: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Whether the stored market history reaches back to the first record'
+    },
+    marketHistoryBoundary: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Time of the newest market record when the last sync completed, incremental syncs page back to it'
+    },
     isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
@@ -0,0 +1,45 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const InventorySnapshot = sequelize.define('InventorySnapshot', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    accountId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Account the inventory belongs to'
+    },
+    takenAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the inventory was fetched'
+    },
+    itemsCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    sources: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Fetched "appId:contextId" inventories (JSON), only these are compared',
+        get() {
+            const value = this.getDataValue('sources');
+            return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+            this.setDataValue('sources', JSON.stringify(value));
+        }
+    }
+}, {
+    tableName: 'inventory_snapshots',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['accountId', 'takenAt']
+        }
+    ]
+});
@@ -0,0 +1,60 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const InventorySnapshotItem = sequelize.define('InventorySnapshotItem', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    snapshotId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    contextid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    assetid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    classid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    instanceid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    marketHashName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    },
+    tradable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true
+    },
+    marketable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true
+    }
+}, {
+    tableName: 'inventory_snapshot_items',
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['snapshotId', 'appid', 'contextid', 'assetid']
+        }
+    ]
+});
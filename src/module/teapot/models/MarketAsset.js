@@ -0,0 +1,55 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const MarketAsset = sequelize.define('MarketAsset', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    accountId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Account the history belongs to'
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    contextid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    assetid: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    marketHashName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Asset description from the market history response (JSON)',
+        get() {
+            const value = this.getDataValue('data');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('data', JSON.stringify(value));
+        }
+    }
+}, {
+    tableName: 'market_assets',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['accountId', 'appid', 'contextid', 'assetid']
+        },
+        {
+            fields: ['marketHashName']
+        }
+    ]
+});
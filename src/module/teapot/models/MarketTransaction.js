@@ -0,0 +1,66 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const MarketTransaction = sequelize.define('MarketTransaction', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    accountId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Account the history belongs to'
+    },
+    recordType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'purchase, listing or event'
+    },
+    recordId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Purchase key, listing id or composite event key'
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    contextid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    assetid: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    timeEvent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Unix time of the sale or event'
+    },
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Raw record from the market history response (JSON)',
+        get() {
+            const value = this.getDataValue('data');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('data', JSON.stringify(value));
+        }
+    }
+}, {
+    tableName: 'market_transactions',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['accountId', 'recordType', 'recordId']
+        },
+        {
+            fields: ['accountId', 'timeEvent']
+        }
+    ]
+});
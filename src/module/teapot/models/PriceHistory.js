@@ -0,0 +1,56 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const PriceHistory = sequelize.define('PriceHistory', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    marketHashName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        comment: 'ISO 4217 code of the prices'
+    },
+    granularity: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'hour or day'
+    },
+    periodStart: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Unix time of the start of the hour or day (UTC)'
+    },
+    medianPrice: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Median sale price in minor units'
+    },
+    volume: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Items sold in the period'
+    }
+}, {
+    tableName: 'price_history',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['appid', 'marketHashName', 'currency', 'granularity', 'periodStart']
+        },
+        {
+            fields: ['marketHashName', 'currency', 'periodStart']
+        }
+    ]
+});
@@ -0,0 +1,53 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const PriceQuote = sequelize.define('PriceQuote', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    marketHashName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        comment: 'ISO 4217 code of the prices'
+    },
+    lowestPrice: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Lowest listing price in minor units'
+    },
+    medianPrice: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Median sale price of the last 24h in minor units'
+    },
+    volume: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Items sold in the last 24h'
+    },
+    fetchedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the price overview was fetched'
+    }
+}, {
+    tableName: 'price_quotes',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['appid', 'marketHashName', 'currency']
+        }
+    ]
+});
@@ -0,0 +1,60 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const WatchlistEvaluation = sequelize.define('WatchlistEvaluation', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    watchlistItemId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    evaluatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    price: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Price compared with the thresholds, null when unavailable'
+    },
+    lowestPrice: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    medianPrice: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    volume: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    stale: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Price is the last stored one because the lookup failed'
+    },
+    signal: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'buy, sell or null when the price is between the thresholds'
+    },
+    alerted: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'A threshold was crossed and an alert raised'
+    }
+}, {
+    tableName: 'watchlist_evaluations',
+    timestamps: false,
+    indexes: [
+        {
+            fields: ['watchlistItemId', 'evaluatedAt']
+        }
+    ]
+});
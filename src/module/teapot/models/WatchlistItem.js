@@ -0,0 +1,51 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../sqlite/sqlite_db.js";
+
+export const WatchlistItem = sequelize.define('WatchlistItem', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    appid: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    marketHashName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        comment: 'ISO 4217 code of the thresholds'
+    },
+    buyBelow: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Alert when the price drops to or below this, in minor units'
+    },
+    sellAbove: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Alert when the price rises to or above this, in minor units'
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    note: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    tableName: 'watchlist',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['appid', 'marketHashName', 'currency']
+        }
+    ]
+});
@@ -1,3 +1,27 @@
+import { sequelize } from "../sqlite/sqlite_db.js";
 import { Account } from "./Account.js";
+import { MarketTransaction } from "./MarketTransaction.js";
+import { MarketAsset } from "./MarketAsset.js";
+import { InventorySnapshot } from "./InventorySnapshot.js";
+import { InventorySnapshotItem } from "./InventorySnapshotItem.js";
+import { PriceHistory } from "./PriceHistory.js";
+import { PriceQuote } from "./PriceQuote.js";
+import { WatchlistItem } from "./WatchlistItem.js";
+import { WatchlistEvaluation } from "./WatchlistEvaluation.js";
 
-export { Account};
+InventorySnapshot.hasMany(InventorySnapshotItem, { foreignKey: 'snapshotId', as: 'items', onDelete: 'CASCADE' });
+InventorySnapshotItem.belongsTo(InventorySnapshot, { foreignKey: 'snapshotId' });
+WatchlistItem.hasMany(WatchlistEvaluation, { foreignKey: 'watchlistItemId', as: 'evaluations', onDelete: 'CASCADE' });
+WatchlistEvaluation.belongsTo(WatchlistItem, { foreignKey: 'watchlistItemId' });
+
+/**
+ * Create missing tables and add new Account columns
+ * SQLite's alter rebuilds a table and turns its composite unique indexes into per-column
+ * constraints, which fails on stored data, so only Account is altered
+ */
+export async function syncModels() {
+    await sequelize.sync();
+    await Account.sync({ alter: true });
+}
+
+export { Account, MarketTransaction, MarketAsset, InventorySnapshot, InventorySnapshotItem, PriceHistory, PriceQuote, WatchlistItem, WatchlistEvaluation };
@@ -1,8 +1,10 @@
 import { Sequelize } from "sequelize";
 
+import { SQLITE_STORAGE } from "../../../config/app.config.js"
+
 export const sequelize = new Sequelize({
   dialect: "sqlite",
-  storage: "./pot.sqlite",
+  storage: SQLITE_STORAGE,
   logging: false,
 });
 
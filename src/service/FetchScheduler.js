@@ -0,0 +1,81 @@
+import { RequestLimiter } from "./RequestLimiter.js";
+
+import { INVENTORY_CONCURRENCY, INVENTORY_REQUESTS_PER_MINUTE, INVENTORY_TIMEOUT } from "../config/app.config.js"
+
+export class TimeoutError extends Error {
+    constructor(label, timeout) {
+        super(`${label} timed out after ${timeout / 1000}s`);
+        this.name = "TimeoutError";
+        this.code = "ETIMEOUT";
+    }
+}
+
+/**
+ * Runs independent fetch tasks side by side
+ * - at most `concurrency` tasks run at once
+ * - task starts share a requests-per-minute budget
+ * - a task exceeding `timeout` is reported as timed out; its late result is discarded
+ */
+export class FetchScheduler {
+    constructor({
+        concurrency = INVENTORY_CONCURRENCY,
+        requestsPerMinute = INVENTORY_REQUESTS_PER_MINUTE,
+        timeout = INVENTORY_TIMEOUT
+    } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.timeout = timeout;
+        // Only the sliding window is used, retries stay with the shared request limiter
+        this.budget = new RequestLimiter({ requestsPerMinute });
+    }
+
+    /**
+     * @param {Array<{key: string, run: Function}>} tasks
+     * @returns {Promise<Array>} per task, in input order: { key, status: "fulfilled"|"failed"|"timeout", value, error, durationMs }
+     */
+    async run(tasks) {
+        const results = new Array(tasks.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < tasks.length) {
+                const index = next++;
+                const task = tasks[index];
+
+                await this.budget.acquire();
+                const started = Date.now();
+
+                try {
+                    const value = await this.withTimeout(task.key, task.run());
+                    results[index] = { key: task.key, status: "fulfilled", value, error: null, durationMs: Date.now() - started };
+                } catch (error) {
+                    results[index] = {
+                        key: task.key,
+                        status: error instanceof TimeoutError ? "timeout" : "failed",
+                        value: null,
+                        error,
+                        durationMs: Date.now() - started
+                    };
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, tasks.length) }, worker));
+        return results;
+    }
+
+    withTimeout(label, promise) {
+        if (!this.timeout) return promise;
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new TimeoutError(label, this.timeout)), this.timeout);
+        });
+
+        // A late rejection of the abandoned task must not surface as unhandled
+        promise.catch(() => { });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+export default FetchScheduler;
@@ -0,0 +1,126 @@
+import { print } from "../shared/utils.js";
+
+import { INVENTORY_DISCOVERY } from "../config/app.config.js"
+
+// The profile inventory page embeds every app and context that holds items for the account
+const APP_CONTEXT_DATA_PATTERN = /g_rgAppContextData\s*=\s*(\{.*?\});\s*$/m;
+
+export class InventoryDiscovery {
+    /**
+     * @param {SteamClient} client
+     * @param {Object} options - inventory_discovery section of config.json
+     */
+    constructor(client, options = INVENTORY_DISCOVERY) {
+        this.client = client;
+        this.options = options;
+    }
+
+    get accountId() {
+        return this.client.accountId;
+    }
+
+    isEnabled() {
+        return this.options.enabled !== false;
+    }
+
+    /**
+     * Read the app/context pairs holding items from the account's inventory page
+     * @returns {Promise<Array>} [{ appId, contextId, appName, contextName, assetCount }]
+     */
+    async discover() {
+        const steamId = this.client.getSteamId();
+        const html = await this.client.httpRequestGet(
+            `https://steamcommunity.com/profiles/${steamId}/inventory/`,
+            { l: 'english' },
+            { json: false }
+        );
+
+        const match = String(html).match(APP_CONTEXT_DATA_PATTERN);
+        if (!match) {
+            throw new Error('Inventory context data not found on the profile inventory page');
+        }
+
+        const apps = JSON.parse(match[1]);
+        const contexts = [];
+
+        for (const app of Object.values(apps)) {
+            for (const context of Object.values(app.rgContexts || {})) {
+                if ((Number(context.asset_count) || 0) < (this.options.min_items ?? 1)) continue;
+
+                contexts.push({
+                    appId: Number(app.appid),
+                    contextId: Number(context.id),
+                    appName: app.name,
+                    contextName: context.name,
+                    assetCount: Number(context.asset_count) || 0
+                });
+            }
+        }
+
+        print(`${this.accountId} Found ${contexts.length} inventory context(s) with items`, "system");
+        return contexts;
+    }
+
+    // Rules are app ids (730) or app/context pairs ("753:6")
+    matchesRule(rules, appId, contextId) {
+        return (rules || []).some(rule => {
+            const [ruleApp, ruleContext] = String(rule).split(":");
+            return Number(ruleApp) === Number(appId) && (ruleContext === undefined || Number(ruleContext) === Number(contextId));
+        });
+    }
+
+    /**
+     * Merge discovered contexts into the configured inventory list
+     * - exclude rules drop configured and discovered entries alike
+     * - a non-empty include list limits which discovered contexts are added
+     * @returns {Object} { inventoryList, added } where added are the newly discovered entries
+     */
+    merge(configured, discovered) {
+        const { include = [], exclude = [], tradable_only = true, method = "tradeoffer" } = this.options;
+        const key = (appId, contextId) => `${Number(appId)}:${Number(contextId)}`;
+
+        const inventoryList = configured.filter(config => !this.matchesRule(exclude, config.appId, config.contextId ?? 2));
+        const known = new Set(configured.map(config => key(config.appId, config.contextId ?? 2)));
+
+        const added = discovered
+            .filter(context => !known.has(key(context.appId, context.contextId)))
+            .filter(context => !this.matchesRule(exclude, context.appId, context.contextId))
+            .filter(context => include.length === 0 || this.matchesRule(include, context.appId, context.contextId))
+            .map(context => ({
+                appId: context.appId,
+                contextId: context.contextId,
+                tradableOnly: tradable_only,
+                method,
+                title: `${context.appName} (${context.contextName})`,
+                assetCount: context.assetCount,
+                discovered: true
+            }));
+
+        return { inventoryList: [...inventoryList, ...added], added };
+    }
+
+    /**
+     * Configured inventory list extended with the account's discovered contexts
+     * Falls back to the configured list when discovery is disabled or fails
+     */
+    async resolveInventoryList(configured) {
+        if (!this.isEnabled()) {
+            return { inventoryList: configured, added: [] };
+        }
+
+        try {
+            const result = this.merge(configured, await this.discover());
+
+            for (const entry of result.added) {
+                print(`${this.accountId} New inventory discovered: ${entry.title} [${entry.appId}:${entry.contextId}], ${entry.assetCount} item(s)`, "info");
+            }
+
+            return result;
+        } catch (error) {
+            print(`${this.accountId} Inventory discovery failed, using configured list: ${error.message}`, "warning");
+            return { inventoryList: configured, added: [] };
+        }
+    }
+}
+
+export default InventoryDiscovery;
@@ -0,0 +1,165 @@
+import { Op } from "sequelize";
+import { sequelize } from "../module/teapot/sqlite/sqlite_db.js";
+import { InventorySnapshot, InventorySnapshotItem } from "../module/teapot/models/index.js";
+import { print } from "../shared/utils.js";
+
+/**
+ * Inventory snapshots per account and fetch time, and diffs between them
+ * Asset ids change whenever an item changes hands, so a lost asset id means the item left the account
+ */
+export class InventorySnapshots {
+    /**
+     * Store a getFullInventory result, untradable items included
+     * @param {string} accountId
+     * @param {Object} inventory - { items, sources, allItems }
+     * @param {Date} takenAt
+     * @returns {Promise<InventorySnapshot>}
+     */
+    async save(accountId, inventory, takenAt = new Date()) {
+        const items = inventory.allItems || inventory.items;
+        const sources = inventory.sources
+            || [...new Set(items.map(item => `${item.appId}:${item.contextId}`))];
+
+        return sequelize.transaction(async (transaction) => {
+            const snapshot = await InventorySnapshot.create({
+                accountId,
+                takenAt,
+                itemsCount: items.length,
+                sources
+            }, { transaction });
+
+            const rows = items.map(item => ({
+                snapshotId: snapshot.id,
+                appid: Number(item.appId),
+                contextid: String(item.contextId),
+                assetid: String(item.assetid),
+                classid: item.classid != null ? String(item.classid) : null,
+                instanceid: item.instanceid != null ? String(item.instanceid) : null,
+                marketHashName: item.market_hash_name || item.market_name || item.name || null,
+                amount: Number(item.amount) || 1,
+                tradable: item.tradable != null ? Boolean(item.tradable) : null,
+                marketable: item.marketable != null ? Boolean(item.marketable) : null
+            }));
+
+            if (rows.length > 0) {
+                await InventorySnapshotItem.bulkCreate(rows, { transaction, ignoreDuplicates: true });
+            }
+
+            print(`${accountId} Inventory snapshot #${snapshot.id} saved (${rows.length} items)`, "system");
+            return snapshot;
+        });
+    }
+
+    async list(accountId) {
+        return InventorySnapshot.findAll({
+            where: { accountId },
+            order: [['takenAt', 'DESC']]
+        });
+    }
+
+    async get(snapshotId) {
+        const snapshot = await InventorySnapshot.findByPk(snapshotId, {
+            include: [{ model: InventorySnapshotItem, as: 'items' }]
+        });
+        if (!snapshot) {
+            throw new Error(`Inventory snapshot #${snapshotId} not found`);
+        }
+        return snapshot;
+    }
+
+    // Latest snapshot of the account taken before the given one
+    async previous(snapshot) {
+        const previous = await InventorySnapshot.findOne({
+            where: {
+                accountId: snapshot.accountId,
+                takenAt: { [Op.lt]: snapshot.takenAt }
+            },
+            order: [['takenAt', 'DESC']]
+        });
+        return previous ? this.get(previous.id) : null;
+    }
+
+    async diffSnapshots(fromId, toId) {
+        const [from, to] = await Promise.all([this.get(fromId), this.get(toId)]);
+        if (from.accountId !== to.accountId) {
+            throw new Error(`Snapshots #${fromId} and #${toId} belong to different accounts`);
+        }
+        return this.diff(from, to);
+    }
+
+    /**
+     * Compare two snapshots
+     * Inventories fetched in only one of them are left out, so a failed or filtered fetch doesn't show as lost items
+     * @returns {Object} { from, to, sources, gained, lost, changed, summary }
+     */
+    diff(from, to) {
+        const sources = from.sources.filter(source => to.sources.includes(source));
+        const inSources = item => sources.includes(`${item.appid}:${item.contextid}`);
+        const key = item => `${item.appid}:${item.contextid}:${item.assetid}`;
+
+        const before = new Map(from.items.filter(inSources).map(item => [key(item), item]));
+        const after = new Map(to.items.filter(inSources).map(item => [key(item), item]));
+
+        const describe = item => ({
+            appid: item.appid,
+            contextid: item.contextid,
+            assetid: item.assetid,
+            market_hash_name: item.marketHashName,
+            amount: item.amount,
+            tradable: item.tradable,
+            marketable: item.marketable
+        });
+
+        const gained = [];
+        const lost = [];
+        const changed = [];
+
+        for (const [itemKey, item] of after) {
+            const old = before.get(itemKey);
+            if (!old) {
+                gained.push({ change: "gained", ...describe(item) });
+                continue;
+            }
+
+            const changes = [];
+            if (old.tradable !== item.tradable) changes.push(item.tradable ? "became tradable" : "became untradable");
+            if (old.marketable !== item.marketable) changes.push(item.marketable ? "became marketable" : "became unmarketable");
+            if (old.amount !== item.amount) changes.push(`amount ${old.amount} -> ${item.amount}`);
+
+            if (changes.length > 0) {
+                changed.push({
+                    change: changes.join(", "),
+                    ...describe(item),
+                    amount_before: old.amount,
+                    tradable_before: old.tradable,
+                    marketable_before: old.marketable
+                });
+            }
+        }
+
+        for (const [itemKey, item] of before) {
+            if (!after.has(itemKey)) {
+                lost.push({ change: "lost", ...describe(item) });
+            }
+        }
+
+        return {
+            from: { id: from.id, takenAt: from.takenAt },
+            to: { id: to.id, takenAt: to.takenAt },
+            sources,
+            gained,
+            lost,
+            changed,
+            summary: {
+                gainedCount: gained.length,
+                lostCount: lost.length,
+                changedCount: changed.length,
+                ignoredSources: [...new Set([...from.sources, ...to.sources])].filter(source => !sources.includes(source))
+            }
+        };
+    }
+}
+
+// Singleton instance
+export const inventorySnapshots = new InventorySnapshots();
+export default InventorySnapshots;
@@ -0,0 +1,88 @@
+import { print } from "../shared/utils.js";
+import { currencyService } from "./currency.js";
+import { buyerPriceToSellerReceives } from "./fees.js";
+import { PricingService } from "./PricingService.js";
+
+export class InventoryValuation {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.currency = options.currency || currencyService;
+        this.pricing = options.pricing || client.pricingService;
+    }
+
+    get accountId() {
+        return this.pricing.accountId;
+    }
+
+    /**
+     * Mark matched inventory items to market
+     * @param {Array} matchedItems - matched items from matchInventoryWithPurchases
+     * @returns {Object} valued items and unrealized P&L totals in the base currency
+     */
+    async valueItems(matchedItems) {
+        const baseCurrency = this.currency.getBaseCurrency();
+
+        // Steam only quotes its own currencies, and prices in another one must not be reported as base currency values
+        if (!this.currency.toSteamCode(baseCurrency) && !this.pricing.canPriceOffline()) {
+            throw new Error(`Base currency ${baseCurrency} is not a Steam market currency, configure a price file in it to value the inventory`);
+        }
+
+        print(`${this.accountId} Valuing ${matchedItems.length} items...`, "system");
+
+        const prices = await this.pricing.getPrices(
+            matchedItems.map(item => ({ appId: item.appid, marketHashName: item.market_hash_name })),
+            baseCurrency
+        );
+
+        const totals = {
+            itemsCount: matchedItems.length,
+            pricedCount: 0,
+            stalePriceCount: 0,
+            costBasis: 0,
+            currentValue: 0,
+            netValue: 0,
+            unrealizedProfit: 0,
+            unrealizedRoiPercent: 0,
+            baseCurrency
+        };
+
+        const items = matchedItems.map(item => {
+            const price = prices.get(PricingService.key(item.appid, item.market_hash_name));
+
+            if (!price || price.price === null) {
+                return { ...item, current_price: null, price_source: null, price_stale: null, price_fetched_at: null, net_value: null, unrealized_profit: null };
+            }
+
+            const netValue = buyerPriceToSellerReceives(price.price, item.appid);
+            const unrealizedProfit = netValue - item.paid_total_base;
+
+            totals.pricedCount++;
+            if (price.stale) totals.stalePriceCount++;
+            totals.costBasis += item.paid_total_base;
+            totals.currentValue += price.price;
+            totals.netValue += netValue;
+            totals.unrealizedProfit += unrealizedProfit;
+
+            return {
+                ...item,
+                current_price: price.price,
+                price_source: price.source,
+                price_stale: price.stale,
+                price_fetched_at: price.fetchedAt,
+                net_value: netValue,
+                unrealized_profit: unrealizedProfit,
+                unrealized_roi_percent: item.paid_total_base > 0
+                    ? Number(((unrealizedProfit / item.paid_total_base) * 100).toFixed(2))
+                    : 0
+            };
+        });
+
+        totals.unrealizedRoiPercent = totals.costBasis > 0
+            ? Number(((totals.unrealizedProfit / totals.costBasis) * 100).toFixed(2))
+            : 0;
+
+        print(`${this.accountId} Valued ${totals.pricedCount} / ${totals.itemsCount} items`, "success");
+
+        return { items, totals };
+    }
+}
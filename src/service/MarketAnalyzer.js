@@ -1,9 +1,53 @@
 import { print } from "../shared/utils.js";
+import { currencyService } from "./currency.js";
+import { breakEvenListPrice } from "./fees.js";
+
+export const MATCHING_METHODS = ["fifo", "lifo", "average"];
+export const TIMELINE_GRANULARITIES = ["day", "week", "month", "year"];
+export const HOLDING_BUCKETS = [
+    { label: "< 1 day", minDays: 0, maxDays: 1 },
+    { label: "1-7 days", minDays: 1, maxDays: 7 },
+    { label: "7-30 days", minDays: 7, maxDays: 30 },
+    { label: "30-90 days", minDays: 30, maxDays: 90 },
+    { label: "90-365 days", minDays: 90, maxDays: 365 },
+    { label: "365+ days", minDays: 365, maxDays: Infinity }
+];
+
+const SECONDS_PER_DAY = 86400;
+
+// Sum of original amounts per ISO currency, shown next to the converted base currency totals
+function addOriginalAmount(totals, currency, amount) {
+    const code = currency || "UNKNOWN";
+    totals[code] = (totals[code] || 0) + (amount || 0);
+}
+
+export const DEFAULT_ANOMALY_THRESHOLDS = {
+    lossThresholdPercent: 20,
+    roiOutlierIqrMultiplier: 3,
+    burstPurchaseCount: 5,
+    burstWindowHours: 24
+};
+
+// event_type values of market history events
+export const LISTING_EVENTS = {
+    CREATED: 1,
+    CANCELLED: 2,
+    SOLD: 3,
+    PURCHASED: 4
+};
 
 export class MarketAnalyzer {
-    constructor(accountId, steamId) {
+    constructor(accountId, steamId, options = {}) {
         this.accountId = accountId;
         this.steamId = steamId;
+
+        const { matchingMethod = "fifo", currency = currencyService, anomalyThresholds = {} } = options;
+        if (!MATCHING_METHODS.includes(matchingMethod)) {
+            throw new Error(`Unknown matching method: ${matchingMethod}`);
+        }
+        this.matchingMethod = matchingMethod;
+        this.currency = currency;
+        this.anomalyThresholds = { ...DEFAULT_ANOMALY_THRESHOLDS, ...anomalyThresholds };
     }
 
      /**
@@ -41,6 +85,10 @@ export class MarketAnalyzer {
                     }
                 }
 
+                const paidTotal = (transaction.paid_amount || 0) + (transaction.paid_fee || 0);
+                const receivedAmount = transaction.received_amount || 0;
+                const timeSold = transaction.time_sold || null;
+
                 const parsed = {
                     id: key,
                     new_id: new_id ?? null,
@@ -51,9 +99,15 @@ export class MarketAnalyzer {
                     market_name: itemInfo?.market_hash_name || transaction.market_name || "Unknown Item",
                     paid_amount: transaction.paid_amount || 0,
                     paid_fee: transaction.paid_fee || 0,
-                    paid_total: (transaction.paid_amount || 0) + (transaction.paid_fee || 0),
+                    paid_total: paidTotal,
                     currencyid: transaction.currencyid,
-                    time_sold: transaction.time_sold || null,
+                    currency: this.currency.toIsoCode(transaction.currencyid),
+                    paid_total_base: this.currency.convert(paidTotal, transaction.currencyid, timeSold),
+                    received_amount: receivedAmount,
+                    received_currencyid: transaction.received_currencyid,
+                    received_currency: this.currency.toIsoCode(transaction.received_currencyid),
+                    received_amount_base: this.currency.convert(receivedAmount, transaction.received_currencyid, timeSold),
+                    time_sold: timeSold,
                     steamid_purchaser: transaction.steamid_purchaser || null,
                     raw: transaction,
                 };
@@ -69,48 +123,39 @@ export class MarketAnalyzer {
                 }
             }
 
-            const purchasesByNewId = new Map(
-                accountPurchases
-                    .filter(p => p.new_id)
-                    .map(p => [String(p.new_id), p])
-            );
-
             const salesByAssetId = new Map(
                 accountSales
                     .filter(s => s.assetid)
                     .map(s => [String(s.assetid), s])
             );
 
+            const matchedPurchaseIds = new Set();
             const matchedSaleIds = new Set();
 
+            // Exact matches first: the purchased asset was listed and sold as-is
             for (const purchase of accountPurchases) {
-                const new_id = String(purchase.new_id);
-                const matchedSale = salesByAssetId.get(new_id);
-
-                if (matchedSale) {
-                    matchedSaleIds.add(String(matchedSale.id));
-
-                    transactions.push(
-                        {
-                            transaction_id: `purchase:${purchase.id}`,
-                            transaction_status: "completed",
-                            role: "purchase",
-                            purchase_id: purchase.id,
-                            purchase: purchase,
-                            linked_sale_id: matchedSale.id,
-                            time_sold: purchase.time_sold
-                        },
-                        {
-                            transaction_id: `sale:${matchedSale.id}`,
-                            transaction_status: "completed",
-                            role: "sale",
-                            purchase_id: matchedSale.id,
-                            purchase: matchedSale,
-                            linked_purchase_id: purchase.id,
-                            time_sold: matchedSale.time_sold
-                        }
-                    );
-                } else {
+                const matchedSale = purchase.new_id ? salesByAssetId.get(String(purchase.new_id)) : null;
+                if (!matchedSale || matchedSaleIds.has(String(matchedSale.id))) continue;
+
+                matchedPurchaseIds.add(String(purchase.id));
+                matchedSaleIds.add(String(matchedSale.id));
+                this._pushCompletedPair(transactions, purchase, matchedSale, "asset_id", purchase.paid_total_base);
+            }
+
+            // Commodity items get re-stacked and change asset ids, so pair the rest as lots
+            const lotPairs = this._matchLots(
+                accountPurchases.filter(p => !matchedPurchaseIds.has(String(p.id))),
+                accountSales.filter(s => !matchedSaleIds.has(String(s.id)))
+            );
+
+            for (const { purchase, sale, costBasis } of lotPairs) {
+                matchedPurchaseIds.add(String(purchase.id));
+                matchedSaleIds.add(String(sale.id));
+                this._pushCompletedPair(transactions, purchase, sale, this.matchingMethod, costBasis);
+            }
+
+            for (const purchase of accountPurchases) {
+                if (!matchedPurchaseIds.has(String(purchase.id))) {
                     transactions.push({
                         transaction_id: `purchase:${purchase.id}`,
                         transaction_status: "uncompleted",
@@ -150,7 +195,9 @@ export class MarketAnalyzer {
                 uncompleted_purchases_count: stats.uncompleted,
                 sales_count: accountSales.length,
                 received_sales_count: stats.received,
-                totalTransactions: accountPurchases.length + accountSales.length
+                totalTransactions: accountPurchases.length + accountSales.length,
+                matching_method: this.matchingMethod,
+                base_currency: this.currency.getBaseCurrency()
             };
         } catch (error) {
             console.log(error);
@@ -158,6 +205,241 @@ export class MarketAnalyzer {
         }
     }
 
+    /**
+     * Push a completed purchase/sale pair into the transaction list
+     * @private
+     */
+    _pushCompletedPair(transactions, purchase, sale, matchMethod, costBasis) {
+        transactions.push(
+            {
+                transaction_id: `purchase:${purchase.id}`,
+                transaction_status: "completed",
+                role: "purchase",
+                purchase_id: purchase.id,
+                purchase: purchase,
+                linked_sale_id: sale.id,
+                match_method: matchMethod,
+                cost_basis: costBasis,
+                time_sold: purchase.time_sold
+            },
+            {
+                transaction_id: `sale:${sale.id}`,
+                transaction_status: "completed",
+                role: "sale",
+                purchase_id: sale.id,
+                purchase: sale,
+                linked_purchase_id: purchase.id,
+                match_method: matchMethod,
+                time_sold: sale.time_sold
+            }
+        );
+    }
+
+    /**
+     * Pair purchases and sales of the same item as interchangeable lots
+     * @private
+     * @param {Array} purchases - parsed purchases not matched by asset id
+     * @param {Array} sales - parsed sales not matched by asset id
+     * @returns {Array} pairs of { purchase, sale, costBasis } with cost basis in the base currency
+     */
+    _matchLots(purchases, sales) {
+        const groups = new Map();
+        const groupKey = (item) => `${item.appid}:${item.market_name}`;
+
+        for (const purchase of purchases) {
+            if (purchase.market_name === "Unknown Item") continue;
+            const key = groupKey(purchase);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ kind: "purchase", item: purchase });
+        }
+
+        for (const sale of sales) {
+            const key = groupKey(sale);
+            if (!groups.has(key)) continue;
+            groups.get(key).push({ kind: "sale", item: sale });
+        }
+
+        const pairs = [];
+
+        for (const events of groups.values()) {
+            // Purchases go first on equal timestamps so an item bought and resold in the same second can pair
+            events.sort((a, b) =>
+                (a.item.time_sold || 0) - (b.item.time_sold || 0) ||
+                (a.kind === b.kind ? 0 : a.kind === "purchase" ? -1 : 1)
+            );
+
+            const openLots = [];
+            let poolCost = 0;
+
+            for (const { kind, item } of events) {
+                if (kind === "purchase") {
+                    openLots.push(item);
+                    poolCost += item.paid_total_base;
+                    continue;
+                }
+
+                if (openLots.length === 0) continue;
+
+                let purchase;
+                let costBasis;
+
+                if (this.matchingMethod === "lifo") {
+                    purchase = openLots.pop();
+                    costBasis = purchase.paid_total_base;
+                    poolCost -= costBasis;
+                } else if (this.matchingMethod === "average") {
+                    costBasis = poolCost / openLots.length;
+                    purchase = openLots.shift();
+                    poolCost -= costBasis;
+                    costBasis = Math.round(costBasis);
+                } else {
+                    purchase = openLots.shift();
+                    costBasis = purchase.paid_total_base;
+                    poolCost -= costBasis;
+                }
+
+                pairs.push({ purchase, sale: item, costBasis });
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Rebuild the lifecycle of the account's own listings from market history listings and events
+     * @param {Object} history - raw history from Steam API
+     * @returns {Object} listings with their lifecycle, per-item listing metrics and a summary
+     */
+    parseListingLifecycle(history) {
+        if (!history) throw new Error("Invalid history object");
+
+        const listings = new Map();
+
+        for (const event of history.events || []) {
+            const type = Number(event.event_type);
+            if (type === LISTING_EVENTS.PURCHASED) continue;
+
+            const listingId = String(event.listingid);
+            const raw = history.listings?.[listingId];
+            if (!raw) continue;
+
+            if (!listings.has(listingId)) {
+                const asset = raw.asset || {};
+                const itemInfo = history.assets?.[asset.appid]?.[asset.contextid]?.[asset.id] || null;
+                const price = raw.original_price ?? ((raw.price || 0) + (raw.fee || 0));
+
+                listings.set(listingId, {
+                    listingid: listingId,
+                    market_name: itemInfo?.market_hash_name || "Unknown Item",
+                    appid: asset.appid,
+                    assetid: asset.id ?? null,
+                    price,
+                    currencyid: raw.currencyid,
+                    currency: this.currency.toIsoCode(raw.currencyid),
+                    price_base: this.currency.convert(price, raw.currencyid, event.time_event),
+                    created_at: null,
+                    cancelled_at: null,
+                    sold_at: null,
+                    status: "active",
+                    time_to_sell_hours: null,
+                    relist_of: null,
+                    relisted_as: null,
+                    price_change: null,
+                    first_listed_at: null
+                });
+            }
+
+            const listing = listings.get(listingId);
+            const time = event.time_event ?? null;
+
+            if (type === LISTING_EVENTS.CREATED) {
+                listing.created_at = time;
+            } else if (type === LISTING_EVENTS.CANCELLED) {
+                listing.cancelled_at = time;
+                listing.status = "cancelled";
+            } else if (type === LISTING_EVENTS.SOLD) {
+                listing.sold_at = time;
+                listing.status = "sold";
+            }
+        }
+
+        const byItem = new Map();
+        for (const listing of listings.values()) {
+            if (listing.created_at != null && listing.sold_at != null) {
+                listing.time_to_sell_hours = Number(((listing.sold_at - listing.created_at) / 3600).toFixed(2));
+            }
+
+            const key = `${listing.appid}:${listing.market_name}`;
+            if (!byItem.has(key)) byItem.set(key, []);
+            byItem.get(key).push(listing);
+        }
+
+        const items = [];
+
+        for (const itemListings of byItem.values()) {
+            itemListings.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+
+            // A cancelled listing followed by a new listing of the same item is a relist at a new price
+            const awaitingRelist = [];
+            for (const listing of itemListings) {
+                const previous = awaitingRelist.find(p => p.cancelled_at <= (listing.created_at || 0));
+                if (previous) {
+                    awaitingRelist.splice(awaitingRelist.indexOf(previous), 1);
+                    previous.relisted_as = listing.listingid;
+                    listing.relist_of = previous.listingid;
+                    listing.price_change = listing.price - previous.price;
+                    listing.first_listed_at = previous.first_listed_at;
+                } else {
+                    listing.first_listed_at = listing.created_at;
+                }
+
+                if (listing.status === "cancelled") awaitingRelist.push(listing);
+            }
+
+            const sold = itemListings.filter(l => l.status === "sold");
+            const cancelled = itemListings.filter(l => l.status === "cancelled");
+            const relisted = itemListings.filter(l => l.relist_of);
+            const sellTimes = sold
+                .filter(l => l.first_listed_at != null && l.sold_at != null)
+                .map(l => (l.sold_at - l.first_listed_at) / 3600);
+
+            items.push({
+                market_name: itemListings[0].market_name,
+                appid: itemListings[0].appid,
+                listings_count: itemListings.length,
+                sold_count: sold.length,
+                cancelled_count: cancelled.length,
+                active_count: itemListings.filter(l => l.status === "active").length,
+                relist_count: relisted.length,
+                cancel_rate_percent: Number(((cancelled.length / itemListings.length) * 100).toFixed(2)),
+                avg_time_to_sell_hours: sellTimes.length > 0
+                    ? Number((sellTimes.reduce((sum, t) => sum + t, 0) / sellTimes.length).toFixed(2))
+                    : null,
+                avg_price_change: relisted.length > 0
+                    ? Math.round(relisted.reduce((sum, l) => sum + l.price_change, 0) / relisted.length)
+                    : 0
+            });
+        }
+
+        const all = Array.from(listings.values());
+        const cancelledTotal = all.filter(l => l.status === "cancelled").length;
+
+        return {
+            listings: all,
+            items: items.sort((a, b) => b.listings_count - a.listings_count),
+            summary: {
+                listingsCount: all.length,
+                soldCount: all.filter(l => l.status === "sold").length,
+                cancelledCount: cancelledTotal,
+                activeCount: all.filter(l => l.status === "active").length,
+                relistCount: all.filter(l => l.relist_of).length,
+                cancelRatePercent: all.length > 0
+                    ? Number(((cancelledTotal / all.length) * 100).toFixed(2))
+                    : 0
+            }
+        };
+    }
+
     /**
      * Matching inventory with purchases
      * @param {Array} transactions - transactions after parsing
@@ -192,6 +474,11 @@ export class MarketAnalyzer {
                 paid_fee: purchase.paid_fee,
                 paid_total: purchase.paid_total,
                 currencyid: purchase.currencyid,
+                currency: purchase.currency,
+                paid_total_base: purchase.paid_total_base,
+                break_even_list_price: purchase.transaction_status === "completed"
+                    ? null
+                    : breakEvenListPrice(purchase.paid_total, purchase.appid),
                 time_sold: purchase.time_sold,
                 transaction_id: purchase.transaction_id,
                 transaction_status: purchase.transaction_status
@@ -228,6 +515,7 @@ export class MarketAnalyzer {
 
     /**
      * Calculate ROI for completed buy/sell pairs
+     * Profit and ROI are computed on amounts converted into the base currency
      * @param {Array} transactions - processed transactions
      * @returns {Array} array of ROI results for each completed purchase
      */
@@ -259,18 +547,28 @@ export class MarketAnalyzer {
             const sell = saleTx.purchase;
 
             const buyPrice = buy.paid_total;
-            const sellPrice = sell.raw?.received_amount || 0;
-            const profit = sellPrice - buyPrice;
-            const roi = buyPrice > 0 ? (profit / buyPrice) * 100 : 0;
+            const sellPrice = sell.received_amount;
+            const buyPriceBase = purchaseTx.cost_basis ?? buy.paid_total_base;
+            const sellPriceBase = sell.received_amount_base;
+            const profit = sellPriceBase - buyPriceBase;
+            const roi = buyPriceBase > 0 ? (profit / buyPriceBase) * 100 : 0;
+            const holding = this._holdingMetrics(buy.time_sold, sell.time_sold, profit, roi);
 
             results.push({
                 transaction_id: purchaseTx.purchase_id,
                 market_name: buy.market_name,
                 appid: buy.appid,
                 buy_price: buyPrice,
+                buy_currency: buy.currency,
                 sell_price: sellPrice,
+                sell_currency: sell.received_currency,
+                buy_price_base: buyPriceBase,
+                sell_price_base: sellPriceBase,
+                base_currency: this.currency.getBaseCurrency(),
                 profit,
                 roi_percent: Number(roi.toFixed(2)),
+                match_method: purchaseTx.match_method || "asset_id",
+                ...holding,
                 time_purchase: buy.time_sold || null,
                 time_sale: sell.time_sold || null,
                 purchase_raw: buy,
@@ -281,8 +579,220 @@ export class MarketAnalyzer {
         return results;
     }
 
+    /**
+     * Days held, profit per day and annualized ROI for one buy/sell pair
+     * @private
+     */
+    _holdingMetrics(timePurchase, timeSale, profit, roiPercent) {
+        if (timePurchase == null || timeSale == null || timeSale < timePurchase) {
+            return { days_held: null, profit_per_day: null, annualized_roi_percent: null };
+        }
+
+        const daysHeld = (timeSale - timePurchase) / SECONDS_PER_DAY;
+        // Same-day flips are annualized as a full day so the compounding does not explode
+        const effectiveDays = Math.max(daysHeld, 1);
+        const growth = 1 + roiPercent / 100;
+        const annualized = growth > 0
+            ? (Math.pow(growth, 365 / effectiveDays) - 1) * 100
+            : -100;
+
+        return {
+            days_held: Number(daysHeld.toFixed(2)),
+            profit_per_day: Number((profit / effectiveDays).toFixed(2)),
+            annualized_roi_percent: Number.isFinite(annualized) ? Number(annualized.toFixed(2)) : null
+        };
+    }
+
+    /**
+     * Holding-time distribution of ROI results
+     * @param {Array} roiResults - output of calculateROI
+     * @returns {Object} median/average days held and ROI grouped into holding-time buckets,
+     *   each bucket with its original amounts per currency next to the base currency figures
+     */
+    summarizeHoldingPeriods(roiResults) {
+        if (!Array.isArray(roiResults)) {
+            throw new Error("roiResults must be an array");
+        }
+
+        const held = roiResults.filter(r => r.days_held !== null && r.days_held !== undefined);
+        const days = held.map(r => r.days_held).sort((a, b) => a - b);
+
+        let medianDaysHeld = null;
+        if (days.length > 0) {
+            const mid = Math.floor(days.length / 2);
+            medianDaysHeld = days.length % 2
+                ? days[mid]
+                : Number(((days[mid - 1] + days[mid]) / 2).toFixed(2));
+        }
+
+        const buckets = HOLDING_BUCKETS.map(bucket => {
+            const entries = held.filter(r => r.days_held >= bucket.minDays && r.days_held < bucket.maxDays);
+            const invested = entries.reduce((sum, r) => sum + r.buy_price_base, 0);
+            const profit = entries.reduce((sum, r) => sum + r.profit, 0);
+
+            const investedOriginal = {};
+            const receivedOriginal = {};
+            for (const r of entries) {
+                addOriginalAmount(investedOriginal, r.buy_currency, r.buy_price);
+                addOriginalAmount(receivedOriginal, r.sell_currency, r.sell_price);
+            }
+
+            return {
+                label: bucket.label,
+                count: entries.length,
+                invested,
+                profit,
+                investedOriginal,
+                receivedOriginal,
+                roiPercent: invested > 0 ? Number(((profit / invested) * 100).toFixed(2)) : 0,
+                avgProfitPerDay: entries.length > 0
+                    ? Number((entries.reduce((sum, r) => sum + r.profit_per_day, 0) / entries.length).toFixed(2))
+                    : 0
+            };
+        });
+
+        return {
+            pairsCount: held.length,
+            medianDaysHeld,
+            averageDaysHeld: days.length > 0
+                ? Number((days.reduce((sum, d) => sum + d, 0) / days.length).toFixed(2))
+                : null,
+            buckets
+        };
+    }
+
+    /**
+     * Flag suspicious transactions and pairs
+     * @param {Object} data - output of parseMarketHistory
+     * @param {Array} roiResults - output of calculateROI
+     * @returns {Array} anomalies as { type, severity, market_name, transaction_ids, value, message }
+     */
+    detectAnomalies(data, roiResults = []) {
+        const { lossThresholdPercent, roiOutlierIqrMultiplier, burstPurchaseCount, burstWindowHours } = this.anomalyThresholds;
+        const anomalies = [];
+
+        // Possible duplicates: same item, side, time and amount recorded under different ids.
+        // Several fills of one buy order look the same, so these are only reported for review.
+        const seen = new Map();
+        for (const { role, purchase } of data.transactions) {
+            const key = JSON.stringify([role, purchase.appid, purchase.market_name, purchase.time_sold, purchase.paid_total]);
+            if (!seen.has(key)) seen.set(key, { role, marketName: purchase.market_name, ids: [] });
+            seen.get(key).ids.push(purchase.id);
+        }
+        for (const { role, marketName, ids } of seen.values()) {
+            if (ids.length < 2) continue;
+            anomalies.push({
+                type: "possible_duplicate",
+                severity: "info",
+                market_name: marketName,
+                transaction_ids: ids,
+                value: ids.length,
+                message: `${ids.length} ${role} records with the same time and amount (duplicates, or fills of one buy order)`
+            });
+        }
+
+        for (const result of roiResults) {
+            if (result.roi_percent < -lossThresholdPercent) {
+                anomalies.push({
+                    type: "sale_below_cost",
+                    severity: "warning",
+                    market_name: result.market_name,
+                    transaction_ids: [result.purchase_raw?.id, result.sale_raw?.id],
+                    value: result.roi_percent,
+                    message: `Sold ${Math.abs(result.roi_percent)}% below the buy price`
+                });
+            }
+
+            if (result.buy_currency && result.sell_currency && result.buy_currency !== result.sell_currency) {
+                anomalies.push({
+                    type: "currency_mismatch",
+                    severity: "info",
+                    market_name: result.market_name,
+                    transaction_ids: [result.purchase_raw?.id, result.sale_raw?.id],
+                    value: `${result.buy_currency}/${result.sell_currency}`,
+                    message: `Bought in ${result.buy_currency}, sold in ${result.sell_currency}`
+                });
+            }
+        }
+
+        // ROI outliers outside the interquartile fences
+        if (roiResults.length >= 4) {
+            const sorted = roiResults.map(r => r.roi_percent).sort((a, b) => a - b);
+            const quantile = (q) => {
+                const pos = (sorted.length - 1) * q;
+                const low = Math.floor(pos);
+                return sorted[low] + (sorted[Math.ceil(pos)] - sorted[low]) * (pos - low);
+            };
+            const q1 = quantile(0.25);
+            const q3 = quantile(0.75);
+            const fence = (q3 - q1) * roiOutlierIqrMultiplier;
+
+            for (const result of roiResults) {
+                if (result.roi_percent < q1 - fence || result.roi_percent > q3 + fence) {
+                    anomalies.push({
+                        type: "roi_outlier",
+                        severity: "info",
+                        market_name: result.market_name,
+                        transaction_ids: [result.purchase_raw?.id, result.sale_raw?.id],
+                        value: result.roi_percent,
+                        message: `ROI ${result.roi_percent}% outside ${Number((q1 - fence).toFixed(2))}..${Number((q3 + fence).toFixed(2))}`
+                    });
+                }
+            }
+        }
+
+        // Purchase bursts: the same item bought many times inside a sliding window
+        const purchasesByItem = new Map();
+        for (const { role, purchase } of data.transactions) {
+            if (role !== "purchase" || !purchase.time_sold) continue;
+            const key = `${purchase.appid}:${purchase.market_name}`;
+            if (!purchasesByItem.has(key)) purchasesByItem.set(key, []);
+            purchasesByItem.get(key).push(purchase);
+        }
+        const windowSeconds = burstWindowHours * 3600;
+        for (const purchases of purchasesByItem.values()) {
+            if (purchases.length < burstPurchaseCount) continue;
+            purchases.sort((a, b) => a.time_sold - b.time_sold);
+
+            let start = 0;
+            let flaggedUntil = -1;
+            for (let end = 0; end < purchases.length; end++) {
+                while (purchases[end].time_sold - purchases[start].time_sold > windowSeconds) start++;
+                const count = end - start + 1;
+
+                if (count >= burstPurchaseCount && start > flaggedUntil) {
+                    // Extend to the whole run inside the window before reporting it once
+                    let last = end;
+                    while (last + 1 < purchases.length && purchases[last + 1].time_sold - purchases[start].time_sold <= windowSeconds) last++;
+
+                    anomalies.push({
+                        type: "purchase_burst",
+                        severity: "info",
+                        market_name: purchases[start].market_name,
+                        transaction_ids: purchases.slice(start, last + 1).map(p => p.id),
+                        value: last - start + 1,
+                        message: `Bought ${last - start + 1} times within ${burstWindowHours}h`
+                    });
+                    flaggedUntil = last;
+                    end = last;
+                    start = last + 1;
+                }
+            }
+        }
+
+        if (anomalies.length > 0) {
+            print(`${this.accountId} ${anomalies.length} market anomalies detected`, "warning");
+        }
+
+        return anomalies;
+    }
+
     /**
      * Calculation of general transaction statistics
+     * Totals are in the base currency, byCurrency keeps the original amounts,
+     * items holds the per-item breakdown with its transactions in date order,
+     * timeline buckets the same totals by day, ISO week, month and year of time_sold;
+     * items and timeline buckets carry investedOriginal/receivedOriginal amounts per currency
      * @param {Object} data - transaction data
      * @returns {Object} general statistics
      */
@@ -292,9 +802,39 @@ export class MarketAnalyzer {
         let totalInvested = 0;
         let totalReceived = 0;
 
+        // Original amounts per currency, before conversion into the base currency
+        const byCurrency = {};
+        const addToCurrency = (currency, field, amount) => {
+            const code = currency || "UNKNOWN";
+            if (!byCurrency[code]) byCurrency[code] = { currency: code, invested: 0, received: 0 };
+            byCurrency[code][field] += amount;
+        };
+
         const itemStats = new Map();
         const itemTransactions = new Map();
 
+        // P&L buckets per granularity, keyed by period label
+        const timeline = Object.fromEntries(TIMELINE_GRANULARITIES.map(g => [g, new Map()]));
+        const addToTimeline = (timestamp, field, amount, currency, originalAmount) => {
+            if (!timestamp) return;
+            const periods = this._periodKeys(timestamp);
+
+            for (const granularity of TIMELINE_GRANULARITIES) {
+                const buckets = timeline[granularity];
+                const period = periods[granularity];
+
+                if (!buckets.has(period)) {
+                    buckets.set(period, { period, invested: 0, received: 0, purchases: 0, sales: 0, investedOriginal: {}, receivedOriginal: {} });
+                }
+
+                const bucket = buckets.get(period);
+                bucket[field] += amount;
+                addOriginalAmount(bucket[`${field}Original`], currency, originalAmount);
+                if (field === "invested") bucket.purchases++;
+                else bucket.sales++;
+            }
+        };
+
         for (const transaction of transactions) {
             const { role, purchase, transaction_status, transaction_id, time_sold } = transaction;
             const marketName = purchase.market_name;
@@ -304,11 +844,13 @@ export class MarketAnalyzer {
                     marketName,
                     totalInvested: 0,
                     totalReceived: 0,
+                    investedOriginal: {},
+                    receivedOriginal: {},
                     purchaseCount: 0,
                     saleCount: 0,
                     completedCount: 0,
                     receivedCount: 0,
-                    uncomletedCount: 0
+                    uncompletedCount: 0
                 });
                 itemTransactions.set(marketName, []);
             }
@@ -317,16 +859,19 @@ export class MarketAnalyzer {
             const txList = itemTransactions.get(marketName);
 
             if (role === 'purchase') {
-                const invested = purchase.paid_total;
+                const invested = purchase.paid_total_base;
 
                 totalInvested += invested;
+                addToCurrency(purchase.currency, "invested", purchase.paid_total);
+                addToTimeline(time_sold, "invested", invested, purchase.currency, purchase.paid_total);
                 itemStat.totalInvested += invested;
+                addOriginalAmount(itemStat.investedOriginal, purchase.currency, purchase.paid_total);
                 itemStat.purchaseCount++;
 
                 if (transaction_status === 'completed') {
                     itemStat.completedCount++;
                 } else if (transaction_status === 'uncompleted') {
-                    itemStat.uncomletedCount++;
+                    itemStat.uncompletedCount++;
                 }
 
                 txList.push({
@@ -334,17 +879,22 @@ export class MarketAnalyzer {
                     transactionId: transaction_id,
                     assetId: purchase.assetid,
                     newId: purchase.new_id,
-                    amount: invested,
+                    amount: purchase.paid_total,
+                    amountBase: invested,
                     status: transaction_status,
                     timestamp: time_sold,
                     date: new Date(time_sold * 1000).toISOString(),
-                    currencyId: purchase.currencyid
+                    currencyId: purchase.currencyid,
+                    currency: purchase.currency
                 });
             } else if (role === 'sale') {
-                const received = purchase.raw.received_amount;
+                const received = purchase.received_amount_base;
 
                 totalReceived += received;
+                addToCurrency(purchase.received_currency, "received", purchase.received_amount);
+                addToTimeline(time_sold, "received", received, purchase.received_currency, purchase.received_amount);
                 itemStat.totalReceived += received;
+                addOriginalAmount(itemStat.receivedOriginal, purchase.received_currency, purchase.received_amount);
                 itemStat.saleCount++;
 
                 if (transaction_status === 'received') {
@@ -356,11 +906,13 @@ export class MarketAnalyzer {
                     transactionId: transaction_id,
                     assetId: purchase.assetid,
                     newId: purchase.new_id,
-                    amount: received,
+                    amount: purchase.received_amount,
+                    amountBase: received,
                     status: transaction_status,
                     timestamp: time_sold,
                     date: new Date(time_sold * 1000).toISOString(),
-                    currencyId: purchase.raw.received_currencyid,
+                    currencyId: purchase.received_currencyid,
+                    currency: purchase.received_currency,
                     purchaserId: purchase.steamid_purchaser
                 });
             }
@@ -382,8 +934,68 @@ export class MarketAnalyzer {
                 salesCount: data.sales_count,
                 completedPurchases: data.completed_purchases_count,
                 uncomletedPurchases: data.uncompleted_purchases_count,
-                receivedSales: data.received_sales_count
-            }
+                receivedSales: data.received_sales_count,
+                baseCurrency: this.currency.getBaseCurrency(),
+                unconvertedCurrencies: this.currency.getMissingRates()
+            },
+            byCurrency: Object.values(byCurrency),
+            items: Array.from(itemStats.values())
+                .map(item => {
+                    const netProfit = item.totalReceived - item.totalInvested;
+                    return {
+                        ...item,
+                        avgBuyPrice: item.purchaseCount > 0
+                            ? Math.round(item.totalInvested / item.purchaseCount)
+                            : 0,
+                        avgSellPrice: item.saleCount > 0
+                            ? Math.round(item.totalReceived / item.saleCount)
+                            : 0,
+                        netProfit,
+                        transactions: itemTransactions.get(item.marketName)
+                            .slice()
+                            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+                    };
+                })
+                .sort((a, b) => b.netProfit - a.netProfit),
+            timeline: Object.fromEntries(
+                TIMELINE_GRANULARITIES.map(granularity => [
+                    granularity,
+                    Array.from(timeline[granularity].values())
+                        .sort((a, b) => a.period.localeCompare(b.period))
+                        .map(bucket => {
+                            const profit = bucket.received - bucket.invested;
+                            return {
+                                ...bucket,
+                                profit,
+                                roiPercent: bucket.invested > 0
+                                    ? Number(((profit / bucket.invested) * 100).toFixed(2))
+                                    : 0
+                            };
+                        })
+                ])
+            )
+        };
+    }
+
+    /**
+     * Period labels (UTC) for a unix timestamp: YYYY-MM-DD, ISO week YYYY-Www, YYYY-MM and YYYY
+     * @private
+     */
+    _periodKeys(timestamp) {
+        const date = new Date(timestamp * 1000);
+        const day = date.toISOString().split('T')[0];
+
+        // ISO week belongs to the year of its Thursday
+        const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+        const weekYear = thursday.getUTCFullYear();
+        const week = Math.ceil(((thursday - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+
+        return {
+            day,
+            week: `${weekYear}-W${String(week).padStart(2, '0')}`,
+            month: day.substring(0, 7),
+            year: day.substring(0, 4)
         };
     }
 }
\ No newline at end of file
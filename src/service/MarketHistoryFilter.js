@@ -0,0 +1,193 @@
+// Report filters: time window, apps and item names
+// Steam's myhistory endpoint only searches by item name, everything else is applied after loading
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export class MarketHistoryFilter {
+    /**
+     * @param {Object} options
+     * @param {number|null} options.since - unix seconds, inclusive
+     * @param {number|null} options.until - unix seconds, inclusive
+     * @param {number[]} options.appIds - keep only these apps
+     * @param {string|null} options.item - case-insensitive part of the market name
+     */
+    constructor({ since = null, until = null, appIds = [], item = null } = {}) {
+        this.since = since;
+        this.until = until;
+        this.appIds = appIds.map(Number);
+        this.item = item ? item.toLowerCase() : null;
+    }
+
+    /**
+     * Build a filter from --since, --until, --app and --item values
+     * @throws {Error} on unparseable dates or app ids
+     */
+    static fromCli({ since, until, app, item } = {}) {
+        const appIds = app ? String(app).split(",").map(id => id.trim()).filter(Boolean) : [];
+        const invalidApp = appIds.find(id => !/^\d+$/.test(id));
+        if (invalidApp) {
+            throw new Error(`Invalid --app value "${invalidApp}", expected numeric app ids`);
+        }
+
+        return new MarketHistoryFilter({
+            since: MarketHistoryFilter.parseDate(since, "--since"),
+            until: MarketHistoryFilter.parseDate(until, "--until", true),
+            appIds: appIds.map(Number),
+            item: item || null
+        });
+    }
+
+    // A plain date for --until covers the whole day
+    static parseDate(value, flag, endOfDay = false) {
+        if (!value) return null;
+
+        const text = String(value).trim();
+        const time = Date.parse(DATE_ONLY.test(text) ? `${text}T00:00:00Z` : text);
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid ${flag} date "${value}", expected YYYY-MM-DD`);
+        }
+
+        const seconds = Math.floor(time / 1000);
+        return endOfDay && DATE_ONLY.test(text) ? seconds + 86399 : seconds;
+    }
+
+    isEmpty() {
+        return this.since === null && this.until === null && this.appIds.length === 0 && !this.item;
+    }
+
+    describe() {
+        if (this.isEmpty()) return "none";
+
+        const date = seconds => new Date(seconds * 1000).toISOString().split('T')[0];
+        const parts = [];
+        if (this.since !== null) parts.push(`since ${date(this.since)}`);
+        if (this.until !== null) parts.push(`until ${date(this.until)}`);
+        if (this.appIds.length > 0) parts.push(`app ${this.appIds.join(", ")}`);
+        if (this.item) parts.push(`item "${this.item}"`);
+        return parts.join("; ");
+    }
+
+    inWindow(timestamp) {
+        if (timestamp == null) return this.since === null && this.until === null;
+        if (this.since !== null && timestamp < this.since) return false;
+        if (this.until !== null && timestamp > this.until) return false;
+        return true;
+    }
+
+    matchesApp(appId) {
+        return this.appIds.length === 0 || this.appIds.includes(Number(appId));
+    }
+
+    matchesItem(name) {
+        return !this.item || String(name || '').toLowerCase().includes(this.item);
+    }
+
+    // Inventory sources outside the app filter are not fetched at all
+    filterInventoryConfigs(configs) {
+        return configs.filter(config => this.matchesApp(config.appId));
+    }
+
+    filterInventory(inventory) {
+        if (!inventory || (this.appIds.length === 0 && !this.item)) return inventory;
+
+        const items = inventory.items.filter(item =>
+            this.matchesApp(item.appId ?? item.appid) &&
+            this.matchesItem(item.market_hash_name || item.market_name || item.name)
+        );
+
+        const byApp = {};
+        for (const item of items) {
+            const appId = item.appId ?? item.appid;
+            if (!byApp[appId]) byApp[appId] = { appId, items: [], count: 0 };
+            byApp[appId].items.push(item);
+            byApp[appId].count++;
+        }
+
+        return { ...inventory, items, byApp, total: items.length };
+    }
+
+    /**
+     * Raw market history limited to the app and item filters
+     * Purchases and listings are kept regardless of date so sales in the window keep their cost basis;
+     * events (listing lifecycle) are limited to the window
+     */
+    filterHistory(history) {
+        if (!history || this.isEmpty()) return history;
+
+        const nameOf = asset => {
+            const contextAssets = history.assets?.[asset?.appid]?.[asset?.contextid];
+            const info = contextAssets?.[asset?.id] ||
+                Object.values(contextAssets || {}).find(a => a.unowned_id === asset?.id);
+            return info?.market_hash_name;
+        };
+        const keep = (asset, fallbackName) =>
+            this.matchesApp(asset?.appid) && this.matchesItem(nameOf(asset) || fallbackName);
+
+        const purchases = Object.fromEntries(
+            Object.entries(history.purchases || {}).filter(([, p]) => keep(p.asset, p.market_name))
+        );
+        const listings = Object.fromEntries(
+            Object.entries(history.listings || {}).filter(([, l]) => keep(l.asset, l.market_name))
+        );
+
+        const listingIds = new Set([
+            ...Object.keys(listings),
+            ...Object.values(purchases).map(p => String(p.listingid))
+        ]);
+
+        const assets = {};
+        for (const [appid, contexts] of Object.entries(history.assets || {})) {
+            if (this.matchesApp(appid)) assets[appid] = contexts;
+        }
+
+        return {
+            ...history,
+            assets,
+            purchases,
+            listings,
+            events: (history.events || []).filter(e => listingIds.has(String(e.listingid)) && this.inWindow(e.time_event))
+        };
+    }
+
+    /**
+     * Parsed transactions limited to the time window
+     * A pair is realized in the window of its sale: a completed purchase stays when its sale falls in
+     * the window, even if it was bought earlier. A purchase in the window whose sale comes after it
+     * was still held at the end of the window, so it is reported as uncompleted (open).
+     * @param {Object} parsed - MarketAnalyzer.parseMarketHistory result
+     */
+    filterParsedHistory(parsed) {
+        if (this.since === null && this.until === null) return parsed;
+
+        const salesInWindow = new Set(
+            parsed.transactions
+                .filter(t => t.role === "sale" && this.inWindow(t.time_sold))
+                .map(t => String(t.purchase_id))
+        );
+
+        const transactions = parsed.transactions
+            .filter(t =>
+                this.inWindow(t.time_sold) ||
+                (t.role === "purchase" && t.linked_sale_id && salesInWindow.has(String(t.linked_sale_id)))
+            )
+            .map(t => t.role === "purchase" && t.linked_sale_id && !salesInWindow.has(String(t.linked_sale_id))
+                ? { ...t, transaction_status: "uncompleted", linked_sale_id: null, sold_after_window: true }
+                : t);
+
+        const purchases = transactions.filter(t => t.role === "purchase");
+        const sales = transactions.filter(t => t.role === "sale");
+
+        return {
+            ...parsed,
+            transactions,
+            purchases_count: purchases.length,
+            completed_purchases_count: sales.filter(t => t.transaction_status === "completed").length,
+            uncompleted_purchases_count: purchases.filter(t => t.transaction_status === "uncompleted").length,
+            sales_count: sales.length,
+            received_sales_count: sales.filter(t => t.transaction_status === "received").length,
+            totalTransactions: purchases.length + sales.length
+        };
+    }
+}
+
+export default MarketHistoryFilter;
@@ -0,0 +1,344 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+import { currencyService } from "./currency.js";
+import { calculateFeesForBuyerPrice } from "./fees.js";
+import { LISTING_EVENTS } from "./MarketAnalyzer.js";
+import { parseCsvRecords } from "./csv.js";
+import { print } from "../shared/utils.js";
+
+// Steam's account data pages name the game, the market history API uses app ids
+const GAME_APP_IDS = {
+    "counter-strike 2": 730,
+    "counter-strike: global offensive": 730,
+    "cs2": 730,
+    "csgo": 730,
+    "dota 2": 570,
+    "team fortress 2": 440,
+    "rust": 252490,
+    "steam": 753
+};
+
+// Accepted column headers of exported transaction tables, lower-cased
+const COLUMN_ALIASES = {
+    date: ["date", "time", "date acted", "acted on", "listed on"],
+    name: ["item", "name", "item name", "market_hash_name", "market name"],
+    game: ["game", "app", "appid", "app id"],
+    type: ["type", "action", "event", "transaction"],
+    price: ["price", "amount", "total", "listing price"],
+    currency: ["currency"]
+};
+
+// Owner marker for exports that don't carry the account's SteamID
+export const IMPORT_OWNER = "imported";
+
+export function emptyMarketHistory() {
+    return {
+        assets: {},
+        purchases: {},
+        listings: {},
+        events: []
+    };
+}
+
+/**
+ * Merge one myhistory page into an accumulated history
+ * Events are de-duplicated, so overlapping pages or repeated imports are harmless
+ */
+export function mergeMarketHistoryPage(full_history, history) {
+    for (const appid in history.assets) {
+        if (!full_history.assets[appid]) full_history.assets[appid] = {};
+        for (const contextid in history.assets[appid]) {
+            if (!full_history.assets[appid][contextid])
+                full_history.assets[appid][contextid] = {};
+            Object.assign(
+                full_history.assets[appid][contextid],
+                history.assets[appid][contextid]
+            );
+        }
+    }
+
+    Object.assign(full_history.purchases, history.purchases);
+
+    Object.assign(full_history.listings, history.listings);
+
+    const eventKey = e => `${e.listingid}:${e.purchaseid}:${e.event_type}:${e.time_event}`;
+    const knownEvents = new Set(full_history.events.map(eventKey));
+    full_history.events.push(...(history.events || []).filter(e => !knownEvents.has(eventKey(e))));
+}
+
+/**
+ * Builds the raw market history structure from files instead of the Steam API:
+ * - raw myhistory JSON responses (fetched with norender=1), single or as an array
+ * - browser HAR captures containing myhistory requests
+ * - market transaction tables from the Steam account data export, saved as HTML or CSV
+ */
+export class MarketHistoryImporter {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.steamId - account owner, inferred from listing events when omitted
+     * @param {string} options.currency - ISO currency of exported tables without a currency column
+     */
+    constructor({ steamId = null, currency = currencyService.getBaseCurrency() } = {}) {
+        this.steamId = steamId ? String(steamId) : null;
+        this.currency = currency;
+        this.rowCounter = 0;
+    }
+
+    /**
+     * @param {string[]} paths - files or directories to import
+     * @returns {Promise<Object>} { history, steamId, files }
+     */
+    async import(paths) {
+        const history = emptyMarketHistory();
+        const tableRows = [];
+        const files = await this.collectFiles(paths);
+
+        for (const filePath of files) {
+            try {
+                const content = await readFile(filePath, 'utf-8');
+                const extension = path.extname(filePath).toLowerCase();
+
+                if (extension === '.csv') {
+                    tableRows.push(...this.parseCsv(content));
+                } else if (extension === '.html' || extension === '.htm') {
+                    tableRows.push(...this.parseHtmlTable(content));
+                } else {
+                    const pages = this.extractPages(JSON.parse(content), filePath);
+                    for (const page of pages) {
+                        mergeMarketHistoryPage(history, page);
+                    }
+                }
+            } catch (error) {
+                print(`Skipping ${filePath}: ${error.message}`, "warning");
+            }
+        }
+
+        // Raw pages say who bought and who sold only by SteamID, a fake owner would turn every purchase into a sale
+        const owner = this.steamId || this.inferOwner(history);
+        if (!owner && Object.keys(history.purchases).length > 0) {
+            throw new Error('The account owner of the imported market history is unknown, pass its SteamID64 with --steamid');
+        }
+
+        // Rows of exported tables carry their own buy/sell type and are recorded under the marker owner
+        const steamId = owner || IMPORT_OWNER;
+
+        let skippedRows = 0;
+        for (const row of tableRows) {
+            if (!this.addTableRow(history, row, steamId)) skippedRows++;
+        }
+
+        if (skippedRows > 0) {
+            print(`${skippedRows} exported row(s) without a recognizable date, type or price were skipped`, "warning");
+        }
+
+        print(`Imported ${Object.keys(history.purchases).length} transactions and ${history.events.length} events from ${files.length} file(s)`, "success");
+
+        return { history, steamId, files };
+    }
+
+    async collectFiles(paths) {
+        const files = [];
+
+        for (const target of paths) {
+            const info = await stat(target);
+            if (info.isDirectory()) {
+                const entries = await readdir(target);
+                files.push(...entries
+                    .filter(name => /\.(json|har|csv|html?)$/i.test(name))
+                    .sort()
+                    .map(name => path.join(target, name)));
+            } else {
+                files.push(target);
+            }
+        }
+
+        return files;
+    }
+
+    extractPages(json, filePath) {
+        if (Array.isArray(json)) {
+            return json.flatMap(entry => this.extractPages(entry, filePath));
+        }
+
+        // HAR: keep the bodies of myhistory requests
+        if (json?.log?.entries) {
+            return json.log.entries
+                .filter(entry => entry.request?.url?.includes('/market/myhistory'))
+                .map(entry => entry.response?.content?.text)
+                .filter(Boolean)
+                .flatMap(text => this.extractPages(JSON.parse(text), filePath));
+        }
+
+        if (json?.purchases || json?.events) {
+            return [{
+                assets: json.assets || {},
+                purchases: json.purchases || {},
+                listings: json.listings || {},
+                events: json.events || []
+            }];
+        }
+
+        if (json?.results_html !== undefined) {
+            throw new Error('rendered market history without transaction data, save the response requested with norender=1');
+        }
+
+        throw new Error('not a market history response');
+    }
+
+    // The account creates its own listings, so the actor of most "listing created" events is the owner
+    inferOwner(history) {
+        const counts = new Map();
+
+        for (const event of history.events) {
+            if (Number(event.event_type) !== LISTING_EVENTS.CREATED || !event.steamid_actor) continue;
+            counts.set(String(event.steamid_actor), (counts.get(String(event.steamid_actor)) || 0) + 1);
+        }
+
+        const [owner] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+        return owner || null;
+    }
+
+    parseCsv(content) {
+        return this.rowsToObjects(parseCsvRecords(content));
+    }
+
+    parseHtmlTable(content) {
+        const cleanCell = html => html
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const records = [];
+        for (const [, rowHtml] of content.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+            const cells = [...rowHtml.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => cleanCell(cell));
+            if (cells.length > 0) records.push(cells);
+        }
+
+        return this.rowsToObjects(records);
+    }
+
+    // The first row naming a date, an item and a price is the header
+    rowsToObjects(records) {
+        const headerIndex = records.findIndex(record => {
+            const columns = this.mapColumns(record);
+            return columns.date !== undefined && columns.name !== undefined && columns.price !== undefined;
+        });
+
+        if (headerIndex === -1) {
+            if (records.length > 0) print("Exported table has no recognizable header row", "warning");
+            return [];
+        }
+
+        const columns = this.mapColumns(records[headerIndex]);
+
+        return records.slice(headerIndex + 1).map(record => {
+            const row = {};
+            for (const [key, index] of Object.entries(columns)) {
+                row[key] = record[index]?.trim() ?? '';
+            }
+            return row;
+        });
+    }
+
+    mapColumns(header) {
+        const columns = {};
+        header.forEach((cell, index) => {
+            const name = cell.trim().toLowerCase();
+            for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+                if (columns[key] === undefined && aliases.includes(name)) columns[key] = index;
+            }
+        });
+        return columns;
+    }
+
+    // Steam marks bought items with "+" and sold items with "-"
+    rowType(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (/^\+|purchase|bought|buy/.test(value)) return "purchase";
+        if (/^[-−–]|sale|sold|sell/.test(value)) return "sale";
+        return null;
+    }
+
+    appIdOf(game) {
+        const value = String(game || '').trim();
+        if (/^\d+$/.test(value)) return Number(value);
+        return GAME_APP_IDS[value.toLowerCase()] ?? null;
+    }
+
+    /**
+     * Turn one exported row into the purchase/listing/event records a myhistory page has.
+     * Purchase rows show the price paid, sale rows the buyer price; fees are derived from Steam's fee model.
+     */
+    addTableRow(history, row, steamId) {
+        const type = this.rowType(row.type);
+        const time = Date.parse(String(row.date || '').replace(/(\d)(st|nd|rd|th)\b/, '$1'));
+        const price = currencyService.parsePrice(row.price);
+
+        if (!type || Number.isNaN(time) || !price || !row.name) return false;
+
+        const appid = this.appIdOf(row.game);
+        const currencyCode = currencyService.toSteamCode(row.currency || this.currency);
+        const currencyid = currencyCode ? String(2000 + currencyCode) : null;
+        const timeEvent = Math.floor(time / 1000);
+        const id = `import_${++this.rowCounter}`;
+        const { received, fees } = calculateFeesForBuyerPrice(price, appid);
+
+        const asset = { appid, contextid: "2", id, amount: "1" };
+
+        if (appid) {
+            if (!history.assets[appid]) history.assets[appid] = {};
+            if (!history.assets[appid]["2"]) history.assets[appid]["2"] = {};
+            history.assets[appid]["2"][id] = {
+                appid,
+                contextid: "2",
+                id,
+                market_name: row.name,
+                market_hash_name: row.name
+            };
+        }
+
+        history.purchases[`${id}_${id}`] = {
+            listingid: id,
+            purchaseid: id,
+            time_sold: timeEvent,
+            steamid_purchaser: type === "purchase" ? steamId : null,
+            asset,
+            market_name: row.name,
+            paid_amount: received,
+            paid_fee: fees,
+            currencyid,
+            received_amount: received,
+            received_currencyid: currencyid,
+            imported: true
+        };
+
+        if (type === "sale") {
+            history.listings[id] = {
+                listingid: id,
+                price: received,
+                fee: fees,
+                original_price: price,
+                currencyid,
+                asset
+            };
+        }
+
+        history.events.push({
+            listingid: id,
+            purchaseid: id,
+            event_type: type === "sale" ? LISTING_EVENTS.SOLD : LISTING_EVENTS.PURCHASED,
+            time_event: timeEvent,
+            steamid_actor: type === "purchase" ? steamId : null
+        });
+
+        return true;
+    }
+}
+
+export default MarketHistoryImporter;
@@ -0,0 +1,275 @@
+import { Op } from "sequelize";
+import { Account, MarketTransaction, MarketAsset } from "../module/teapot/models/index.js";
+import { checkpointStore } from "./checkpoint.js";
+import { emptyMarketHistory, mergeMarketHistoryPage } from "./MarketHistoryImporter.js";
+import { print, sleep } from "../shared/utils.js";
+
+import { MARKET_HISTORY_DELAY } from "../config/app.config.js"
+
+const PAGE_SIZE = 100;
+
+export class MarketHistorySync {
+    constructor(client) {
+        this.client = client;
+    }
+
+    get accountId() {
+        return this.client.accountId;
+    }
+
+    /**
+     * Fetch market history pages newer than the stored records and persist them
+     * Once a complete history is stored, paging stops at the first page reaching records older than
+     * the boundary of the last completed sync. The boundary only moves when a sync completes, so
+     * records missed by an interrupted run are fetched by the next one.
+     * Both modes save their offset to a checkpoint after every page and resume from it.
+     * @returns {Object} { fetchedPages, newRecords, total, complete }
+     */
+    async sync() {
+        const account = await Account.findOne({ where: { username: this.client.getAccountName() } });
+        const incremental = Boolean(account?.marketHistoryComplete);
+        const mode = incremental ? "incremental" : "full";
+
+        print(`${this.accountId} Syncing market history (${mode})...`, "system");
+
+        // Stored records survive an interruption, so resuming only needs the page offset, the boundary
+        // the run pages back to and the newest record time of its first page
+        const saved = await checkpointStore.load(this.accountId, "market_sync");
+        const checkpoint = Boolean(saved?.incremental) === incremental ? saved : null;
+
+        let start = checkpoint?.start ?? 0;
+        let head = checkpoint?.head ?? null;
+        // Histories completed before boundaries were stored start from their newest record
+        const boundary = !incremental
+            ? null
+            : checkpoint?.boundary ?? account.marketHistoryBoundary ?? await this.newestRecordTime();
+
+        if (start > 0) {
+            print(`${this.accountId} Resuming ${mode} market history sync from record ${start}`, "system");
+        }
+
+        let totalCount = null;
+        let fetchedPages = 0;
+        let newRecords = 0;
+        let reachedBoundary = false;
+
+        while (start < (totalCount ?? Infinity)) {
+            const page = await this.client.getMarketHistory(start, PAGE_SIZE);
+            fetchedPages++;
+
+            if (totalCount === null) {
+                totalCount = page.total_count;
+            }
+
+            const { inserted, oldest, newest } = await this.storePage(page);
+            newRecords += inserted;
+            start += PAGE_SIZE;
+            head ??= newest;
+
+            // Pages run newest first, so past the boundary everything is stored already
+            if (boundary != null && oldest != null && oldest < boundary) {
+                reachedBoundary = true;
+                break;
+            }
+
+            await checkpointStore.save(this.accountId, "market_sync", { incremental, start, boundary, head });
+
+            print(`${this.accountId} Synced ${Math.min(start, totalCount)} / ${totalCount} records`, "system");
+
+            if (start < totalCount) {
+                await sleep(MARKET_HISTORY_DELAY);
+            }
+        }
+
+        const complete = reachedBoundary || start >= (totalCount ?? 0);
+        await checkpointStore.clear(this.accountId, "market_sync");
+
+        if (account) {
+            account.marketHistorySyncedAt = new Date();
+            account.marketHistoryComplete = incremental || complete;
+            // Records newer than the first page of an interrupted run were not fetched after resuming,
+            // so the next sync pages back to that page instead of the newest stored record
+            account.marketHistoryBoundary = head ?? account.marketHistoryBoundary ?? await this.newestRecordTime();
+            await account.save();
+        }
+
+        print(`${this.accountId} Market history synced: ${newRecords} new records from ${fetchedPages} page(s)`, "success");
+
+        return { fetchedPages, newRecords, total: totalCount, complete };
+    }
+
+    /**
+     * Fetch the market history records matching a Steam search query without storing them
+     * A partial history in the database would end later incremental syncs short of the records it lacks
+     * @param {string} query - item name search, as on the market history page
+     * @returns {Promise<Object>} raw market history structure
+     */
+    async fetchMatching(query) {
+        print(`${this.accountId} Fetching market history matching "${query}" (not stored)...`, "system");
+
+        const history = emptyMarketHistory();
+        let totalCount = null;
+        let start = 0;
+
+        while (start < (totalCount ?? Infinity)) {
+            const page = await this.client.getMarketHistory(start, PAGE_SIZE, query);
+
+            if (totalCount === null) {
+                totalCount = page.total_count;
+            }
+
+            mergeMarketHistoryPage(history, page);
+            start += PAGE_SIZE;
+
+            print(`${this.accountId} Fetched ${Math.min(start, totalCount)} / ${totalCount} matching records`, "system");
+
+            if (start < totalCount) {
+                await sleep(MARKET_HISTORY_DELAY);
+            }
+        }
+
+        return history;
+    }
+
+    /**
+     * Persist one market history page
+     * @returns {Object} { inserted, known } counts of purchase and event records, oldest and newest record time
+     */
+    async storePage(page) {
+        const rows = [];
+
+        for (const [key, purchase] of Object.entries(page.purchases || {})) {
+            rows.push({
+                accountId: this.accountId,
+                recordType: "purchase",
+                recordId: String(key),
+                appid: purchase.asset?.appid ?? null,
+                contextid: purchase.asset?.contextid != null ? String(purchase.asset.contextid) : null,
+                assetid: purchase.asset?.id != null ? String(purchase.asset.id) : null,
+                timeEvent: purchase.time_sold ?? null,
+                data: purchase
+            });
+        }
+
+        for (const event of page.events || []) {
+            rows.push({
+                accountId: this.accountId,
+                recordType: "event",
+                recordId: this.eventKey(event),
+                timeEvent: event.time_event ?? null,
+                data: event
+            });
+        }
+
+        // Listings repeat across pages whenever their events do, so they never count as known
+        const listingRows = Object.entries(page.listings || {}).map(([listingId, listing]) => ({
+            accountId: this.accountId,
+            recordType: "listing",
+            recordId: String(listingId),
+            appid: listing.asset?.appid ?? null,
+            contextid: listing.asset?.contextid != null ? String(listing.asset.contextid) : null,
+            assetid: listing.asset?.id != null ? String(listing.asset.id) : null,
+            data: listing
+        }));
+
+        const known = rows.length > 0
+            ? await MarketTransaction.count({
+                where: {
+                    accountId: this.accountId,
+                    [Op.or]: [
+                        { recordType: "purchase", recordId: rows.filter(r => r.recordType === "purchase").map(r => r.recordId) },
+                        { recordType: "event", recordId: rows.filter(r => r.recordType === "event").map(r => r.recordId) }
+                    ]
+                }
+            })
+            : 0;
+
+        const assetRows = [];
+        for (const [appid, contexts] of Object.entries(page.assets || {})) {
+            for (const [contextid, assets] of Object.entries(contexts)) {
+                for (const [assetid, asset] of Object.entries(assets)) {
+                    assetRows.push({
+                        accountId: this.accountId,
+                        appid: Number(appid),
+                        contextid: String(contextid),
+                        assetid: String(assetid),
+                        marketHashName: asset.market_hash_name || null,
+                        data: asset
+                    });
+                }
+            }
+        }
+
+        if (rows.length + listingRows.length > 0) {
+            await MarketTransaction.bulkCreate([...rows, ...listingRows], {
+                updateOnDuplicate: ["data", "timeEvent", "updatedAt"]
+            });
+        }
+
+        if (assetRows.length > 0) {
+            await MarketAsset.bulkCreate(assetRows, {
+                updateOnDuplicate: ["data", "marketHashName", "updatedAt"]
+            });
+        }
+
+        const times = rows.map(r => r.timeEvent).filter(time => time != null);
+
+        return {
+            inserted: rows.length - known,
+            known,
+            oldest: times.length > 0 ? Math.min(...times) : null,
+            newest: times.length > 0 ? Math.max(...times) : null
+        };
+    }
+
+    // Time of the newest stored purchase or event, null before the first sync
+    async newestRecordTime() {
+        return MarketTransaction.max('timeEvent', {
+            where: { accountId: this.accountId, recordType: ["purchase", "event"] }
+        });
+    }
+
+    /**
+     * Rebuild the raw market history structure (assets, purchases, listings, events) from the stored records
+     */
+    async loadHistory() {
+        const history = {
+            assets: {},
+            purchases: {},
+            listings: {},
+            events: []
+        };
+
+        const [records, assets] = await Promise.all([
+            MarketTransaction.findAll({
+                where: { accountId: this.accountId },
+                order: [['timeEvent', 'DESC']]
+            }),
+            MarketAsset.findAll({ where: { accountId: this.accountId } })
+        ]);
+
+        for (const record of records) {
+            if (record.recordType === "purchase") {
+                history.purchases[record.recordId] = record.data;
+            } else if (record.recordType === "listing") {
+                history.listings[record.recordId] = record.data;
+            } else if (record.recordType === "event") {
+                history.events.push(record.data);
+            }
+        }
+
+        for (const asset of assets) {
+            if (!history.assets[asset.appid]) history.assets[asset.appid] = {};
+            if (!history.assets[asset.appid][asset.contextid]) history.assets[asset.appid][asset.contextid] = {};
+            history.assets[asset.appid][asset.contextid][asset.assetid] = asset.data;
+        }
+
+        print(`${this.accountId} Loaded ${Object.keys(history.purchases).length} purchases and ${history.events.length} events from database`, "system");
+
+        return history;
+    }
+
+    eventKey(event) {
+        return [event.listingid, event.purchaseid || "", event.event_type, event.time_event].join(":");
+    }
+}
@@ -0,0 +1,172 @@
+import { Op } from "sequelize";
+import { PriceHistory } from "../module/teapot/models/index.js";
+import { currencyService } from "./currency.js";
+import { print } from "../shared/utils.js";
+
+import { PRICE_HISTORY_REFRESH_INTERVAL, PRICE_HISTORY_MAX_ITEMS } from "../config/app.config.js"
+
+const HOUR = 3600;
+const DAY = 86400;
+
+// Volume-weighted median of hourly medians, the closest daily figure hourly data allows
+function weightedMedian(points) {
+    const sorted = [...points].sort((a, b) => a.price - b.price);
+    const total = sorted.reduce((sum, p) => sum + Math.max(p.volume, 1), 0);
+
+    let seen = 0;
+    for (const point of sorted) {
+        seen += Math.max(point.volume, 1);
+        if (seen * 2 >= total) return point.price;
+    }
+    return sorted.length > 0 ? sorted[sorted.length - 1].price : 0;
+}
+
+/**
+ * Stores Steam market price history locally as hourly and daily median price and volume
+ * per market_hash_name and currency. Each sync only writes periods from the last stored one on,
+ * and rows are unique per period, so repeated syncs never duplicate data.
+ * Steam answers in the wallet currency of the account whatever currency is requested, so rows
+ * are stored under the wallet currency; the requested one only applies to accounts without a wallet.
+ */
+export class PriceHistorySync {
+    constructor(client) {
+        this.client = client;
+    }
+
+    get accountId() {
+        return this.client.accountId;
+    }
+
+    /**
+     * @param {Array<{appId: number, marketHashName: string}>} items - deduplicated by name
+     * @param {string} requestedCurrency - ISO code, used when the account has no wallet
+     * @returns {Promise<Object>} { synced, skipped, failed, hourly, daily, currency }
+     */
+    async sync(items, requestedCurrency = currencyService.getBaseCurrency()) {
+        const unique = [...new Map(items.map(item => [`${item.appId}:${item.marketHashName}`, item])).values()];
+        const currency = this.client.getWalletCurrency() || requestedCurrency;
+        const result = { synced: 0, skipped: 0, failed: 0, hourly: 0, daily: 0, currency };
+
+        if (currency !== requestedCurrency) {
+            print(`${this.accountId} Steam reports price history in the wallet currency, storing ${currency} instead of ${requestedCurrency}`, "warning");
+        }
+
+        print(`${this.accountId} Syncing price history for ${Math.min(unique.length, PRICE_HISTORY_MAX_ITEMS)} of ${unique.length} item(s) (${currency})`, "system");
+
+        for (const item of unique.slice(0, PRICE_HISTORY_MAX_ITEMS)) {
+            try {
+                if (await this.isFresh(item, currency)) {
+                    result.skipped++;
+                    continue;
+                }
+
+                const stored = await this.syncItem(item, currency);
+                result.synced++;
+                result.hourly += stored.hourly;
+                result.daily += stored.daily;
+            } catch (error) {
+                result.failed++;
+                print(`${this.accountId} Price history for ${item.marketHashName} not synced: ${error.message}`, "warning");
+            }
+        }
+
+        print(`${this.accountId} Price history synced: ${result.synced} item(s), ${result.hourly} hourly / ${result.daily} daily rows, ${result.skipped} fresh, ${result.failed} failed`, "success");
+        return result;
+    }
+
+    async isFresh(item, currency) {
+        const lastUpdate = await PriceHistory.max('updatedAt', {
+            where: { appid: item.appId, marketHashName: item.marketHashName, currency }
+        });
+        return Boolean(lastUpdate) && Date.now() - new Date(lastUpdate).getTime() < PRICE_HISTORY_REFRESH_INTERVAL;
+    }
+
+    async syncItem({ appId, marketHashName }, currency) {
+        const steamCurrency = currencyService.toSteamCode(currency);
+        if (!steamCurrency) {
+            throw new Error(`Unsupported currency ${currency}`);
+        }
+
+        const points = (await this.client.getPriceHistory(appId, marketHashName, steamCurrency))
+            .sort((a, b) => a.time - b.time);
+
+        const key = { appid: appId, marketHashName, currency };
+        const [lastHour, lastDay] = await Promise.all([
+            PriceHistory.max('periodStart', { where: { ...key, granularity: "hour" } }),
+            PriceHistory.max('periodStart', { where: { ...key, granularity: "day" } })
+        ]);
+
+        // Old data comes one point per day, recent data one per hour. Hourly data starts at the first
+        // point closer than a day to its predecessor; the daily point before it stays daily.
+        const firstHourly = points.findIndex((point, index) => index > 0 && point.time - points[index - 1].time < DAY);
+        const hourlyFrom = firstHourly === -1 ? Infinity : points[firstHourly].time;
+
+        const hourRows = [];
+        const days = new Map();
+
+        for (const point of points) {
+            const dayStart = Math.floor(point.time / DAY) * DAY;
+
+            if (point.time >= hourlyFrom) {
+                const hourStart = Math.floor(point.time / HOUR) * HOUR;
+                if (lastHour == null || hourStart >= lastHour) {
+                    hourRows.push({ ...key, granularity: "hour", periodStart: hourStart, medianPrice: point.price, volume: point.volume });
+                }
+            }
+
+            // The last stored day may have been partial, so it is recomputed
+            if (lastDay == null || dayStart >= lastDay) {
+                if (!days.has(dayStart)) days.set(dayStart, []);
+                days.get(dayStart).push(point);
+            }
+        }
+
+        const dayRows = Array.from(days.entries()).map(([dayStart, dayPoints]) => ({
+            ...key,
+            granularity: "day",
+            periodStart: dayStart,
+            medianPrice: weightedMedian(dayPoints),
+            volume: dayPoints.reduce((sum, p) => sum + p.volume, 0)
+        }));
+
+        // The recomputed last day is always written, which also marks the item as fresh
+        const rows = [...hourRows, ...dayRows];
+        if (rows.length > 0) {
+            await PriceHistory.bulkCreate(rows, {
+                updateOnDuplicate: ["medianPrice", "volume", "updatedAt"]
+            });
+        }
+
+        return { hourly: hourRows.length, daily: dayRows.length };
+    }
+
+    /**
+     * Stored price history, usable without a Steam connection
+     * @returns {Promise<Array>} [{ periodStart, medianPrice, volume }] oldest first
+     */
+    async load(marketHashName, { currency = currencyService.getBaseCurrency(), granularity = "day", appId = null, since = null, until = null } = {}) {
+        const periodStart = {};
+        if (since != null) periodStart[Op.gte] = since;
+        if (until != null) periodStart[Op.lte] = until;
+
+        const rows = await PriceHistory.findAll({
+            where: {
+                marketHashName,
+                currency,
+                granularity,
+                ...(appId != null ? { appid: appId } : {}),
+                ...(since != null || until != null ? { periodStart } : {})
+            },
+            order: [['periodStart', 'ASC']]
+        });
+
+        return rows.map(row => ({
+            appid: row.appid,
+            periodStart: row.periodStart,
+            medianPrice: row.medianPrice,
+            volume: row.volume
+        }));
+    }
+}
+
+export default PriceHistorySync;
@@ -0,0 +1,223 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { currencyService } from "./currency.js";
+import { parseCsvRecords } from "./csv.js";
+import { print } from "../shared/utils.js";
+
+import { PRICE_PROVIDER } from "../config/app.config.js"
+
+/**
+ * @typedef {Object} PriceProvider
+ * @property {string} name - "steam", "file" or "mock", reported as the price source
+ * @property {boolean} remote - remote lookups run under the request budget and are cached in price_quotes
+ * @property {Function} isAvailable - () => boolean, unavailable providers are skipped in the chain
+ * @property {Function} getPrice - async (appId, marketHashName, currency) => { lowest_price, median_price, volume }
+ *   in minor units of the ISO currency; throws when the provider has no price for the item
+ */
+
+// Accepted column headers of price files, lower-cased
+const PRICE_COLUMNS = {
+    name: ["market_hash_name", "name", "item", "market name"],
+    appid: ["appid", "app", "app id"],
+    price: ["price", "lowest_price", "lowest price"],
+    median: ["median_price", "median price", "median"],
+    volume: ["volume"],
+    currency: ["currency"]
+};
+
+// Prices in files and mock settings are written in major units (1.23), or as formatted strings ("$1.23")
+const toMinorUnits = value => value === undefined || value === null || value === '' ? null : currencyService.parsePrice(value);
+
+/**
+ * Steam's price overview endpoint, needs a connected client
+ */
+export class SteamMarketPriceProvider {
+    constructor(client) {
+        this.name = "steam";
+        this.remote = true;
+        this.client = client;
+    }
+
+    isAvailable() {
+        return Boolean(this.client?.isConnected());
+    }
+
+    async getPrice(appId, marketHashName, currency) {
+        const steamCurrency = currencyService.toSteamCode(currency);
+        if (!steamCurrency) {
+            throw new Error(`Unsupported currency ${currency}`);
+        }
+
+        const overview = await this.client.getPriceOverview(appId, marketHashName, steamCurrency);
+
+        return {
+            lowest_price: currencyService.parsePrice(overview.lowest_price),
+            median_price: currencyService.parsePrice(overview.median_price),
+            volume: overview.volume || 0
+        };
+    }
+}
+
+/**
+ * Prices from a local dump, for offline valuation
+ * - JSON: [{ market_hash_name, appid?, price, median_price?, volume?, currency? }] or { "<market_hash_name>": price }
+ * - CSV: a header row with market_hash_name and price columns, appid/median_price/volume/currency optional
+ * Entries without appid match the name in any app. Prices in another currency than requested are
+ * only usable when the base currency is requested and an exchange rate is configured.
+ */
+export class FilePriceProvider {
+    constructor({ path: filePath, currency = currencyService.getBaseCurrency() } = {}) {
+        this.name = "file";
+        this.remote = false;
+        this.path = filePath;
+        this.currency = currency.toUpperCase();
+        this.prices = null;
+        this.loadError = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.path) && !this.loadError;
+    }
+
+    load() {
+        if (this.prices) return this.prices;
+        if (this.loadError) throw this.loadError;
+
+        try {
+            const content = readFileSync(this.path, 'utf8');
+            const records = path.extname(this.path).toLowerCase() === '.csv'
+                ? this.parseCsv(content)
+                : this.parseJson(JSON.parse(content));
+
+            this.prices = new Map();
+            for (const record of records) {
+                if (!record.name || record.price === null) continue;
+                this.prices.set(`${record.appid ?? '*'}:${record.name}`, record);
+            }
+        } catch (error) {
+            // Reported once, the provider is skipped from then on
+            this.loadError = error;
+            print(`Price file ${this.path} not loaded: ${error.message}`, "warning");
+            throw error;
+        }
+
+        print(`Loaded ${this.prices.size} price(s) from ${this.path}`, "system");
+        return this.prices;
+    }
+
+    parseJson(json) {
+        const entries = Array.isArray(json)
+            ? json
+            : Object.entries(json).map(([name, value]) => typeof value === 'object' && value !== null
+                ? { market_hash_name: name, ...value }
+                : { market_hash_name: name, price: value });
+
+        return entries.map(entry => ({
+            name: entry.market_hash_name ?? entry.name,
+            appid: entry.appid ?? entry.appId ?? null,
+            price: toMinorUnits(entry.price ?? entry.lowest_price ?? entry.median_price),
+            median: toMinorUnits(entry.median_price),
+            volume: Number(entry.volume) || 0,
+            currency: entry.currency?.toUpperCase() || this.currency
+        }));
+    }
+
+    parseCsv(content) {
+        const [header = [], ...rows] = parseCsvRecords(content);
+        const columns = {};
+        header.forEach((cell, index) => {
+            const name = cell.trim().toLowerCase();
+            for (const [key, aliases] of Object.entries(PRICE_COLUMNS)) {
+                if (columns[key] === undefined && aliases.includes(name)) columns[key] = index;
+            }
+        });
+
+        if (columns.name === undefined || (columns.price === undefined && columns.median === undefined)) {
+            throw new Error(`${this.path} has no market_hash_name and price columns`);
+        }
+
+        const cell = (row, key) => columns[key] === undefined ? '' : (row[columns[key]] ?? '').trim();
+
+        return rows.map(row => ({
+            name: cell(row, "name"),
+            appid: cell(row, "appid") ? Number(cell(row, "appid")) : null,
+            price: toMinorUnits(cell(row, "price")) ?? toMinorUnits(cell(row, "median")),
+            median: toMinorUnits(cell(row, "median")),
+            volume: Number(cell(row, "volume")) || 0,
+            currency: cell(row, "currency").toUpperCase() || this.currency
+        }));
+    }
+
+    async getPrice(appId, marketHashName, currency) {
+        const prices = this.load();
+        const record = prices.get(`${appId}:${marketHashName}`) || prices.get(`*:${marketHashName}`);
+        if (!record) {
+            throw new Error(`Not in ${path.basename(this.path)}`);
+        }
+
+        const convert = amount => {
+            if (amount === null || record.currency === currency) return amount;
+            if (currency === currencyService.getBaseCurrency() && currencyService.getRate(record.currency) && currencyService.getRate(currency)) {
+                return currencyService.convert(amount, record.currency);
+            }
+            throw new Error(`Price file has ${record.currency} prices, ${currency} requested`);
+        };
+
+        return {
+            lowest_price: convert(record.price),
+            median_price: convert(record.median),
+            volume: record.volume
+        };
+    }
+}
+
+/**
+ * Fixed prices for deterministic reports and tests
+ * `prices` maps "<market_hash_name>" or "<appid>:<market_hash_name>" to a price; other items get
+ * `default_price`, or no price when it is null. The same amounts are returned for every currency.
+ */
+export class MockPriceProvider {
+    constructor({ prices = {}, default_price = null, volume = 0 } = {}) {
+        this.name = "mock";
+        this.remote = false;
+        this.prices = prices;
+        this.defaultPrice = default_price;
+        this.volume = volume;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async getPrice(appId, marketHashName) {
+        const price = toMinorUnits(this.prices[`${appId}:${marketHashName}`] ?? this.prices[marketHashName] ?? this.defaultPrice);
+        if (price === null) {
+            throw new Error('No mock price');
+        }
+
+        return { lowest_price: price, median_price: price, volume: this.volume };
+    }
+}
+
+/**
+ * Providers of the configured chain, in fallback order
+ * @param {SteamClient|null} client - without a client the steam provider is unavailable
+ * @param {Object} settings - price_provider section of config.json
+ * @returns {Array<PriceProvider>}
+ */
+export function createPriceProviders(client, settings = PRICE_PROVIDER) {
+    const chain = settings.chain?.length ? settings.chain : ["steam"];
+
+    return chain.map(name => {
+        switch (name) {
+            case "steam":
+                return new SteamMarketPriceProvider(client);
+            case "file":
+                return new FilePriceProvider(settings.file);
+            case "mock":
+                return new MockPriceProvider(settings.mock);
+            default:
+                throw new Error(`Unknown price provider "${name}" in price_provider.chain`);
+        }
+    });
+}
@@ -0,0 +1,246 @@
+import { Op } from "sequelize";
+import { PriceQuote } from "../module/teapot/models/index.js";
+import { FetchScheduler } from "./FetchScheduler.js";
+import { createPriceProviders } from "./PriceProviders.js";
+import { currencyService } from "./currency.js";
+import { print } from "../shared/utils.js";
+
+import { PRICE_CACHE_TTL, PRICE_CONCURRENCY, PRICE_REQUESTS_PER_MINUTE, PRICE_TIMEOUT } from "../config/app.config.js"
+
+// Keeps IN (...) lists below SQLite's bound parameter limit
+const LOOKUP_CHUNK = 500;
+
+/**
+ * Current market prices for many items at once
+ * - items are deduplicated by app and market_hash_name, so a stack of 500 cases costs one lookup
+ * - the configured price providers are tried in order, each pricing what the previous ones could not
+ * - remote prices fetched within the TTL are served from the price_quotes table, the remaining
+ *   remote lookups run through a FetchScheduler under the valuation request budget
+ * - when every provider fails, the last stored price is returned; it is stale: true only once
+ *   it is older than the TTL, a cached price within the TTL is as good as a fetched one
+ */
+export class PricingService {
+    constructor(client, {
+        ttl = PRICE_CACHE_TTL,
+        concurrency = PRICE_CONCURRENCY,
+        requestsPerMinute = PRICE_REQUESTS_PER_MINUTE,
+        timeout = PRICE_TIMEOUT,
+        providers = createPriceProviders(client)
+    } = {}) {
+        this.client = client;
+        this.ttl = ttl;
+        this.providers = providers;
+        this.scheduler = new FetchScheduler({ concurrency, requestsPerMinute, timeout });
+    }
+
+    get accountId() {
+        return this.client?.accountId ?? "offline";
+    }
+
+    static key(appId, marketHashName) {
+        return `${appId}:${marketHashName}`;
+    }
+
+    // Offline and imported reports can only be valued by providers that need no Steam session
+    canPriceOffline() {
+        return this.providers.some(provider => !provider.remote && provider.isAvailable());
+    }
+
+    /**
+     * @param {Array<{appId: number, marketHashName: string}>} items - duplicates are allowed
+     * @param {string} currency - ISO code
+     * @param {Object} options - maxAge (ms) overrides the cache TTL for this call
+     * @returns {Promise<Map>} key(appId, marketHashName) -> { price, lowest_price, median_price, volume, fetchedAt, stale, source } or null
+     */
+    async getPrices(items, currency = currencyService.getBaseCurrency(), { maxAge = this.ttl } = {}) {
+        const unique = [...new Map(items
+            .filter(item => item.marketHashName)
+            .map(item => [PricingService.key(item.appId, item.marketHashName), item])).values()];
+
+        const providers = this.providers.filter(provider => provider.isAvailable());
+        if (providers.length === 0) {
+            throw new Error('No price provider available');
+        }
+
+        // Stored remote prices stay usable as a stale fallback while the remote provider is unavailable
+        const cached = this.providers.some(provider => provider.remote)
+            ? await this.loadCached(unique, currency)
+            : new Map();
+
+        const prices = new Map();
+        const errors = new Map();
+        let pending = unique;
+
+        print(`${this.accountId} Pricing ${unique.length} unique item(s) in ${currency} via ${providers.map(p => p.name).join(" -> ")}`, "system");
+
+        for (const provider of providers) {
+            if (pending.length === 0) break;
+
+            pending = provider.remote
+                ? await this.priceRemote(provider, pending, currency, { cached, maxAge, prices, errors })
+                : await this.priceLocal(provider, pending, currency, { prices, errors });
+        }
+
+        let staleCount = 0;
+        for (const item of pending) {
+            const key = PricingService.key(item.appId, item.marketHashName);
+            const previous = cached.get(key);
+            const reason = errors.get(key)?.message ?? 'no price';
+
+            if (previous && this.isFresh(previous, this.ttl)) {
+                prices.set(key, this.toQuote(previous, { stale: false, source: "cache" }));
+            } else if (previous) {
+                staleCount++;
+                prices.set(key, this.toQuote(previous, { stale: true, source: "cache" }));
+                print(`${this.accountId} Price of ${item.marketHashName} unavailable (${reason}), using the one from ${previous.fetchedAt.toLocaleString()}`, "warning");
+            } else {
+                prices.set(key, null);
+                print(`${this.accountId} Price unavailable for ${item.marketHashName}: ${reason}`, "warning");
+            }
+        }
+
+        const bySource = {};
+        for (const quote of prices.values()) {
+            if (quote && !quote.stale) bySource[quote.source] = (bySource[quote.source] || 0) + 1;
+        }
+        const sources = Object.entries(bySource).map(([source, count]) => `${count} ${source}`).join(", ") || "none";
+
+        const unavailable = [...prices.values()].filter(quote => quote === null).length;
+        print(`${this.accountId} Prices ready: ${sources}, ${staleCount} stale, ${unavailable} unavailable`, "success");
+        return prices;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} quote of a single item, see getPrices
+     */
+    async getPrice(appId, marketHashName, currency = currencyService.getBaseCurrency()) {
+        const prices = await this.getPrices([{ appId, marketHashName }], currency);
+        return prices.get(PricingService.key(appId, marketHashName)) ?? null;
+    }
+
+    /**
+     * @returns {Promise<Array>} items the provider could not price
+     */
+    async priceRemote(provider, items, currency, { cached, maxAge, prices, errors }) {
+        const missing = [];
+
+        for (const item of items) {
+            const key = PricingService.key(item.appId, item.marketHashName);
+            const row = cached.get(key);
+
+            if (row && this.isFresh(row, maxAge)) {
+                prices.set(key, this.toQuote(row, { stale: false, source: provider.name }));
+            } else {
+                missing.push(item);
+            }
+        }
+
+        print(`${this.accountId} ${provider.name}: ${items.length - missing.length} cached, ${missing.length} to fetch`, "system");
+
+        const results = await this.scheduler.run(missing.map(item => ({
+            key: PricingService.key(item.appId, item.marketHashName),
+            run: () => provider.getPrice(item.appId, item.marketHashName, currency)
+        })));
+
+        const fetchedAt = new Date();
+        const rows = [];
+        const unpriced = [];
+
+        results.forEach((result, index) => {
+            const item = missing[index];
+
+            const quote = result.status === "fulfilled" ? result.value : null;
+
+            if (!quote || (quote.lowest_price == null && quote.median_price == null)) {
+                errors.set(result.key, result.error ?? new Error('no listings or sales'));
+                unpriced.push(item);
+                return;
+            }
+
+            const row = {
+                appid: item.appId,
+                marketHashName: item.marketHashName,
+                currency,
+                lowestPrice: quote.lowest_price,
+                medianPrice: quote.median_price,
+                volume: quote.volume || 0,
+                fetchedAt
+            };
+            rows.push(row);
+            prices.set(result.key, this.toQuote(row, { stale: false, source: provider.name }));
+        });
+
+        if (rows.length > 0) {
+            await PriceQuote.bulkCreate(rows, {
+                updateOnDuplicate: ["lowestPrice", "medianPrice", "volume", "fetchedAt", "updatedAt"]
+            });
+        }
+
+        return unpriced;
+    }
+
+    async priceLocal(provider, items, currency, { prices, errors }) {
+        const unpriced = [];
+
+        for (const item of items) {
+            const key = PricingService.key(item.appId, item.marketHashName);
+
+            try {
+                const quote = await provider.getPrice(item.appId, item.marketHashName, currency);
+                if (quote.lowest_price == null && quote.median_price == null) {
+                    throw new Error('no price');
+                }
+
+                prices.set(key, this.toQuote({
+                    lowestPrice: quote.lowest_price,
+                    medianPrice: quote.median_price,
+                    volume: quote.volume,
+                    fetchedAt: new Date()
+                }, { stale: false, source: provider.name }));
+            } catch (error) {
+                errors.set(key, error);
+                unpriced.push(item);
+            }
+        }
+
+        return unpriced;
+    }
+
+    async loadCached(items, currency) {
+        const cached = new Map();
+
+        for (let i = 0; i < items.length; i += LOOKUP_CHUNK) {
+            const chunk = items.slice(i, i + LOOKUP_CHUNK);
+            const rows = await PriceQuote.findAll({
+                where: {
+                    currency,
+                    marketHashName: { [Op.in]: chunk.map(item => item.marketHashName) }
+                }
+            });
+
+            for (const row of rows) {
+                cached.set(PricingService.key(row.appid, row.marketHashName), row);
+            }
+        }
+
+        return cached;
+    }
+
+    isFresh(row, maxAge) {
+        return Date.now() - row.fetchedAt.getTime() < maxAge;
+    }
+
+    toQuote(row, { stale, source }) {
+        return {
+            price: row.lowestPrice ?? row.medianPrice,
+            lowest_price: row.lowestPrice,
+            median_price: row.medianPrice,
+            volume: row.volume,
+            fetchedAt: row.fetchedAt,
+            stale,
+            source
+        };
+    }
+}
+
+export default PricingService;
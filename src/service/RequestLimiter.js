@@ -0,0 +1,133 @@
+import { print, sleep } from "../shared/utils.js";
+
+import { REQUESTS_PER_MINUTE, REQUEST_MAX_RETRIES, REQUEST_BASE_DELAY, REQUEST_MAX_DELAY } from "../config/app.config.js"
+
+const WINDOW_MS = 60 * 1000;
+const RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"];
+
+export class RequestLimiter {
+    constructor(options = {}) {
+        this.requestsPerMinute = options.requestsPerMinute ?? REQUESTS_PER_MINUTE;
+        this.maxRetries = options.maxRetries ?? REQUEST_MAX_RETRIES;
+        this.baseDelay = options.baseDelay ?? REQUEST_BASE_DELAY;
+        this.maxDelay = options.maxDelay ?? REQUEST_MAX_DELAY;
+
+        this.timestamps = [];
+        this.queue = Promise.resolve();
+        this.stats = new Map();
+    }
+
+    /**
+     * Wait for a free slot in the shared requests-per-minute budget
+     */
+    async acquire() {
+        // Chained so concurrent callers take slots one after another
+        const slot = this.queue.then(async () => {
+            while (true) {
+                const now = Date.now();
+                this.timestamps = this.timestamps.filter(t => now - t < WINDOW_MS);
+
+                if (this.timestamps.length < this.requestsPerMinute) {
+                    this.timestamps.push(now);
+                    return;
+                }
+
+                await sleep(WINDOW_MS - (now - this.timestamps[0]) + 10);
+            }
+        });
+
+        this.queue = slot.catch(() => { });
+        return slot;
+    }
+
+    /**
+     * Run a request under the budget, retrying throttled and transient failures
+     * @param {string} label - stats key, usually the account id
+     * @param {Function} request - async function performing one attempt
+     * @param {Object} options - retryUnsuccessful also retries bare { success: false } bodies
+     * @returns {Promise<*>} the request result
+     */
+    async execute(label, request, { retryUnsuccessful = false } = {}) {
+        const stats = this.getStats(label);
+
+        for (let attempt = 0; ; attempt++) {
+            const waitStart = Date.now();
+            await this.acquire();
+            stats.throttledMs += Date.now() - waitStart;
+            stats.requests++;
+
+            try {
+                const result = await request();
+                this.assertNotEmpty(result, retryUnsuccessful);
+                return result;
+            } catch (error) {
+                const reason = this.retryReason(error);
+
+                if (!reason || attempt >= this.maxRetries) {
+                    stats.failures++;
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt, reason);
+                stats.retries++;
+                stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+
+                print(`${label} Request retry ${attempt + 1}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s (${reason})`, "warning");
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Steam answers throttled requests with an empty body, and paged endpoints such as myhistory
+    // and inventory with a bare { success: false }. Elsewhere that is a regular negative answer
+    // (e.g. no listings for a price overview), so it only counts as empty when the caller asks.
+    assertNotEmpty(body, retryUnsuccessful = false) {
+        const isEmpty = body === null || body === undefined || body === ""
+            || (retryUnsuccessful && typeof body === "object" && body.success === false && Object.keys(body).length === 1);
+
+        if (isEmpty) {
+            const error = new Error("Empty response from Steam");
+            error.code = "STEAM_EMPTY_RESPONSE";
+            throw error;
+        }
+    }
+
+    retryReason(error) {
+        const status = error.statusCode || Number(error.message?.match(/\bHTTP(?: error)? (\d{3})\b/i)?.[1]);
+
+        if (status === 429) return "HTTP 429";
+        if (status >= 500 && status < 600) return `HTTP ${status}`;
+        if (error.code === "STEAM_EMPTY_RESPONSE") return "empty response";
+        if (RETRYABLE_NETWORK_CODES.includes(error.code)) return error.code;
+
+        return null;
+    }
+
+    // Exponential backoff with full jitter; rate limiting backs off twice as hard
+    backoffDelay(attempt, reason) {
+        const factor = reason === "HTTP 429" ? 2 : 1;
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * factor * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    getStats(label) {
+        if (!this.stats.has(label)) {
+            this.stats.set(label, { requests: 0, retries: 0, failures: 0, throttledMs: 0, byReason: {} });
+        }
+        return this.stats.get(label);
+    }
+
+    logStats(label) {
+        const stats = this.getStats(label);
+        const reasons = Object.entries(stats.byReason).map(([reason, count]) => `${reason}: ${count}`).join(", ");
+
+        print(
+            `${label} Requests: ${stats.requests}, retries: ${stats.retries}${reasons ? ` (${reasons})` : ""}, ` +
+            `failures: ${stats.failures}, waited for budget: ${(stats.throttledMs / 1000).toFixed(1)}s`,
+            "data"
+        );
+    }
+}
+
+// Shared by every SteamClient so the budget covers all accounts
+export const requestLimiter = new RequestLimiter();
@@ -1,3 +1,4 @@
+import { EventEmitter } from 'events';
 import SteamUser from 'steam-user';
 import SteamTotp from 'steam-totp';
 import SteamCommunity from 'steamcommunity';
@@ -5,9 +6,46 @@ import TradeOfferManager from 'steam-tradeoffer-manager';
 import { Account } from "../module/teapot/models/index.js";
 import { encryptionService } from "../service/encryption.js";
 import { MarketAnalyzer } from "../service/MarketAnalyzer.js"
-import { print, sleep } from "../shared/utils.js";
-
-import { INVENTORY_DELAY, MARKET_HISTORY_DELAY } from "../config/app.config.js"
+import { InventoryValuation } from "../service/InventoryValuation.js"
+import { MarketHistorySync } from "../service/MarketHistorySync.js"
+import { requestLimiter } from "../service/RequestLimiter.js"
+import { checkpointStore } from "../service/checkpoint.js"
+import { FetchScheduler } from "../service/FetchScheduler.js"
+import { InventoryDiscovery } from "../service/InventoryDiscovery.js"
+import { PriceHistorySync } from "../service/PriceHistorySync.js"
+import { PricingService } from "../service/PricingService.js"
+import { currencyService } from "../service/currency.js"
+import { print } from "../shared/utils.js";
+
+import { MATCHING_METHOD, ANOMALY_THRESHOLDS } from "../config/app.config.js"
+
+// The community inventory endpoint rejects larger pages
+const INVENTORY_PAGE_SIZE = 2000;
+
+// Item shape shared by getInventory and getInventoryAPI, so both fetch methods feed the same consumers
+function formatInventoryItem(asset, description, pos) {
+    return {
+        assetid: asset.assetid,
+        classid: asset.classid,
+        instanceid: asset.instanceid,
+        amount: Number(asset.amount) || 1,
+        pos,
+        name: description.name || description.market_name,
+        market_name: description.market_name,
+        market_hash_name: description.market_hash_name,
+        type: description.type,
+        tradable: Boolean(description.tradable),
+        marketable: Boolean(description.marketable),
+        commodity: Boolean(description.commodity),
+        icon_url: description.icon_url,
+        icon_url_large: description.icon_url_large,
+        descriptions: description.descriptions || [],
+        owner_descriptions: description.owner_descriptions || [],
+        actions: description.actions || [],
+        tags: description.tags || [],
+        cache_expiration: description.cache_expiration || null
+    };
+}
 
 export class SteamAccountManager {
     constructor() {
@@ -59,6 +97,13 @@ export class SteamClient {
         this.steamId = null;
         this.refreshToken = null;
         this.marketAnalyzer = null;
+        this.events = new EventEmitter();
+        this.pricingService = new PricingService(this);
+        this.inventoryValuation = new InventoryValuation(this);
+        this.marketHistorySync = new MarketHistorySync(this);
+        this.inventoryScheduler = new FetchScheduler();
+        this.inventoryDiscovery = new InventoryDiscovery(this);
+        this.priceHistorySync = new PriceHistorySync(this);
 
         // Callback для запиту коду
         this.onSteamGuardCodeRequired = null;
@@ -72,7 +117,10 @@ export class SteamClient {
             this.steamId = this.client.steamID.getSteamID64();
 
             if (!this.marketAnalyzer) {
-                this.marketAnalyzer = new MarketAnalyzer(this.accountId, this.steamId);
+                this.marketAnalyzer = new MarketAnalyzer(this.accountId, this.steamId, {
+                    matchingMethod: MATCHING_METHOD,
+                    anomalyThresholds: ANOMALY_THRESHOLDS
+                });
                 print(`${this.accountId} MarketAnalyzer initialized`, "success");
             }
 
@@ -410,15 +458,19 @@ export class SteamClient {
         return this.accountName;
     }
 
+    // ISO code of the wallet currency, null until Steam reported a wallet
+    getWalletCurrency() {
+        return this.client?.wallet?.hasWallet ? currencyService.toIsoCode(this.client.wallet.currency) : null;
+    }
+
     async getInventory(appId, contextId = 2, tradableOnly = true) {
-        return new Promise((resolve, reject) => {
-            if (!this.isConnected()) {
-                reject(new Error('Not connected to Steam or web session not ready'));
-                return;
-            }
+        if (!this.isConnected()) {
+            throw new Error('Not connected to Steam or web session not ready');
+        }
 
-            print(`${this.accountId} Fetching inventory for app ${appId}, context ${contextId}`, "system");
+        print(`${this.accountId} Fetching inventory for app ${appId}, context ${contextId}`, "system");
 
+        return requestLimiter.execute(this.accountId, () => new Promise((resolve, reject) => {
             this.manager.getUserInventoryContents(
                 this.steamId,
                 appId,
@@ -433,25 +485,8 @@ export class SteamClient {
 
                     print(`${this.accountId} Successfully fetched ${inventory.length} items from inventory`, "success");
 
-                    const formattedInventory = inventory.map(item => ({
-                        assetid: item.assetid,
-                        classid: item.classid,
-                        instanceid: item.instanceid,
-                        amount: item.amount,
-                        pos: item.pos,
-                        name: item.name || item.market_name,
-                        market_name: item.market_name,
-                        market_hash_name: item.market_hash_name,
-                        type: item.type,
-                        tradable: item.tradable,
-                        marketable: item.marketable,
-                        commodity: item.commodity,
-                        icon_url: item.icon_url,
-                        icon_url_large: item.icon_url_large,
-                        descriptions: item.descriptions,
-                        actions: item.actions,
-                        tags: item.tags
-                    }));
+                    // CEconItem carries the asset and its description fields on one object
+                    const formattedInventory = inventory.map(item => formatInventoryItem(item, item, item.pos));
 
                     resolve({
                         items: formattedInventory,
@@ -460,35 +495,73 @@ export class SteamClient {
                     });
                 }
             );
-        });
+        }));
     }
 
-    async getInventoryAPI(steamId = null, appId = 730, contextId = 2) {
+    /**
+     * Fetch an inventory through the public community endpoint, page by page
+     * Assets are joined with their descriptions, items have the same shape as getInventory
+     * @param {string|null} steamId - defaults to the logged in account
+     * @param {number} appId
+     * @param {number} contextId
+     * @param {boolean} tradableOnly - drop items that can't be traded
+     * @returns {Promise<Object>} { items, total, currencies }
+     */
+    async getInventoryAPI(steamId = null, appId = 730, contextId = 2, tradableOnly = false) {
         const targetSteamId = steamId || this.steamId;
 
         if (!targetSteamId) throw new Error('Steam ID not provided');
 
-        print(`${this.accountId} Fetching inventory via API for ${targetSteamId}`, "system");
+        print(`${this.accountId} Fetching inventory via API for ${targetSteamId} (app ${appId}, context ${contextId})`, "system");
 
         const url = `https://steamcommunity.com/inventory/${targetSteamId}/${appId}/${contextId}`;
 
         try {
-            const response = await this.httpRequestGet(url, {
-                count: 5000,
-                l: 'english'
-            });
+            const descriptions = new Map();
+            const assets = [];
+            let startAssetId = null;
+            let totalCount = 0;
+
+            do {
+                const response = await this.httpRequestGet(url, {
+                    count: INVENTORY_PAGE_SIZE,
+                    l: 'english',
+                    ...(startAssetId ? { start_assetid: startAssetId } : {})
+                }, { retryUnsuccessful: true });
+
+                if (!response.success) {
+                    throw new Error(response.error || 'Failed to fetch inventory');
+                }
 
-            if (!response.success) {
-                throw new Error(response.error || 'Failed to fetch inventory');
+                for (const description of response.descriptions || []) {
+                    descriptions.set(`${description.classid}_${description.instanceid}`, description);
+                }
+                assets.push(...(response.assets || []));
+                totalCount = response.total_inventory_count || assets.length;
+
+                startAssetId = response.more_items ? response.last_assetid : null;
+
+                if (startAssetId) {
+                    print(`${this.accountId} Fetched ${assets.length} / ${totalCount} assets`, "system");
+                }
+            } while (startAssetId);
+
+            const items = [];
+            for (const asset of assets) {
+                const description = descriptions.get(`${asset.classid}_${asset.instanceid}`) || {};
+                const tradable = Boolean(description.tradable);
+
+                if (tradableOnly && !tradable) continue;
+
+                items.push(formatInventoryItem(asset, description, items.length + 1));
             }
 
-            print(`${this.accountId} Successfully fetched ${response.total_inventory_count} items via API`, "success");
+            print(`${this.accountId} Successfully fetched ${items.length} items via API`, "success");
 
             return {
-                assets: response.assets || [],
-                descriptions: response.descriptions || [],
-                total: response.total_inventory_count || 0,
-                success: response.success
+                items,
+                total: items.length,
+                currencies: []
             };
         } catch (error) {
             print(`${this.accountId} Error fetching inventory via API: ${error.message}`, "error");
@@ -496,6 +569,14 @@ export class SteamClient {
         }
     }
 
+    /**
+     * Fetch every configured inventory, several app contexts at a time (see FetchScheduler)
+     * @param {Array} inventoryConfigs - INVENTORY_LIST entries
+     * @returns {Promise<Object>} { items, byApp, total, currencies, sources, failures, allItems }
+     * where failures lists inventories that failed or timed out: { source, appId, contextId, title, reason, message }.
+     * Inventories are always fetched whole: tradableOnly only limits items/byApp, allItems keeps untradable
+     * items too, so snapshots see items going into a trade hold.
+     */
     async getFullInventory(inventoryConfigs = [{ appId: 730, contextId: 2 }]) {
         if (!this.isConnected()) {
             throw new Error('Not connected to Steam or web session not ready');
@@ -507,56 +588,105 @@ export class SteamClient {
             items: [],
             byApp: {},
             total: 0,
-            currencies: []
+            currencies: [],
+            // "appId:contextId" of every inventory fetched successfully
+            sources: [],
+            failures: [],
+            allItems: []
         };
 
+        // App contexts fetched by an interrupted run, keyed by "appId:contextId"
+        const checkpoint = await checkpointStore.load(this.accountId, "inventory") || { completed: {} };
+        const resumedCount = Object.keys(checkpoint.completed).length;
+        if (resumedCount > 0) {
+            print(`${this.accountId} Resuming inventory fetch: ${resumedCount} source(s) restored from checkpoint`, "system");
+        }
+
         try {
-            for (const config of inventoryConfigs) {
-                const { appId, contextId = 2, tradableOnly = true } = config;
+            const tasks = inventoryConfigs.map(config => {
+                // method "api" pages the community inventory endpoint, the default goes through TradeOfferManager
+                const { appId, contextId = 2, method = "tradeoffer" } = config;
+                const sourceKey = `${appId}:${contextId}`;
+
+                return {
+                    key: sourceKey,
+                    run: async () => {
+                        if (checkpoint.completed[sourceKey]) {
+                            return { inventoryData: checkpoint.completed[sourceKey], restored: true };
+                        }
+
+                        print(`${this.accountId} Fetching inventory: appId=${appId}, contextId=${contextId}`, "system");
+                        const inventoryData = method === "api"
+                            ? await this.getInventoryAPI(null, appId, contextId, false)
+                            : await this.getInventory(appId, contextId, false);
+
+                        checkpoint.completed[sourceKey] = inventoryData;
+                        await checkpointStore.save(this.accountId, "inventory", checkpoint);
+
+                        return { inventoryData, restored: false };
+                    }
+                };
+            });
 
-                print(`${this.accountId} Fetching inventory: appId=${appId}, contextId=${contextId}`, "system");
+            const results = await this.inventoryScheduler.run(tasks);
 
-                try {
-                    const inventoryData = await this.getInventory(appId, contextId, tradableOnly);
+            results.forEach((result, index) => {
+                const { appId, contextId = 2, title = null, tradableOnly = true } = inventoryConfigs[index];
 
-                    const itemsWithMeta = inventoryData.items.map(item => ({
-                        ...item,
+                if (result.status !== "fulfilled") {
+                    print(`${this.accountId} Error fetching inventory for appId ${appId}: ${result.error.message}`, "error");
+                    fullInventory.failures.push({
+                        source: result.key,
                         appId,
-                        contextId
-                    }));
-
-                    fullInventory.items.push(...itemsWithMeta);
+                        contextId,
+                        title,
+                        reason: result.status === "timeout" ? "timeout" : "error",
+                        message: result.error.message
+                    });
+                    return;
+                }
 
-                    if (!fullInventory.byApp[appId]) {
-                        fullInventory.byApp[appId] = {
-                            appId,
-                            items: [],
-                            count: 0
-                        };
-                    }
+                const { inventoryData, restored } = result.value;
 
-                    fullInventory.byApp[appId].items.push(...itemsWithMeta);
-                    fullInventory.byApp[appId].count = fullInventory.byApp[appId].items.length;
+                const allItems = inventoryData.items.map(item => ({
+                    ...item,
+                    appId,
+                    contextId
+                }));
+                const itemsWithMeta = tradableOnly ? allItems.filter(item => item.tradable) : allItems;
 
-                    if (inventoryData.currencies && inventoryData.currencies.length > 0) {
-                        fullInventory.currencies.push(...inventoryData.currencies);
-                    }
+                fullInventory.allItems.push(...allItems);
+                fullInventory.items.push(...itemsWithMeta);
+                fullInventory.sources.push(result.key);
 
-                    print(`${this.accountId} Fetched ${inventoryData.total} items from appId ${appId}`, "success");
+                if (!fullInventory.byApp[appId]) {
+                    fullInventory.byApp[appId] = {
+                        appId,
+                        items: [],
+                        count: 0
+                    };
+                }
 
-                    if (inventoryConfigs.indexOf(config) < inventoryConfigs.length - 1) {
-                        await sleep(INVENTORY_DELAY);
-                    }
+                fullInventory.byApp[appId].items.push(...itemsWithMeta);
+                fullInventory.byApp[appId].count = fullInventory.byApp[appId].items.length;
 
-                } catch (error) {
-                    print(`${this.accountId} Error fetching inventory for appId ${appId}: ${error.message}`, "error");
-                    continue;
+                if (inventoryData.currencies && inventoryData.currencies.length > 0) {
+                    fullInventory.currencies.push(...inventoryData.currencies);
                 }
-            }
+
+                print(`${this.accountId} ${restored ? "Restored" : "Fetched"} ${itemsWithMeta.length} items from appId ${appId}${itemsWithMeta.length < allItems.length ? ` (+${allItems.length - itemsWithMeta.length} untradable)` : ""} (${(result.durationMs / 1000).toFixed(1)}s)`, "success");
+            });
 
             fullInventory.total = fullInventory.items.length;
 
+            // The checkpoint only bridges an interrupted run. A completed run clears it even when some
+            // sources failed, so the next run refetches every source instead of reusing old inventories.
+            await checkpointStore.clear(this.accountId, "inventory");
+
             print(`${this.accountId} Successfully fetched full inventory: ${fullInventory.total} total items from ${Object.keys(fullInventory.byApp).length} app(s)`, "success");
+            if (fullInventory.failures.length > 0) {
+                print(`${this.accountId} Missing inventories: ${fullInventory.failures.map(f => `${f.source} (${f.reason})`).join(", ")}`, "warning");
+            }
 
             return fullInventory;
 
@@ -583,7 +713,8 @@ export class SteamClient {
                 headers: {
                     'X-Requested-With': 'XMLHttpRequest',
                     'X-Prototype-Version': '1.7'
-                }
+                },
+                retryUnsuccessful: true
             });
 
             if (!response.success) {
@@ -608,64 +739,28 @@ export class SteamClient {
         }
     }
 
-    async getFullMarketHistory(maxItems = Infinity) {
+    async resolveInventoryList(configured) {
         if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.inventoryDiscovery.resolveInventoryList(configured);
+    }
 
-        print(`${this.accountId} Starting to fetch full market history...`, "system");
-
-        let full_history = {
-            assets: {},
-            purchases: {},
-            listings: {},
-            events: []
-        };
-
-        let start = 0;
-        const count = 100;
-        let totalCount = null;
-
-        try {
-            while (start < (totalCount || Infinity) && start < maxItems) {
-                const history = await this.getMarketHistory(start, count);
-
-                if (totalCount === null) {
-                    totalCount = history.total_count;
-                    print(`${this.accountId} Total market history records: ${totalCount}`, "system");
-                }
-
-                for (const appid in history.assets) {
-                    if (!full_history.assets[appid]) full_history.assets[appid] = {};
-                    for (const contextid in history.assets[appid]) {
-                        if (!full_history.assets[appid][contextid])
-                            full_history.assets[appid][contextid] = {};
-                        Object.assign(
-                            full_history.assets[appid][contextid],
-                            history.assets[appid][contextid]
-                        );
-                    }
-                }
-
-                Object.assign(full_history.purchases, history.purchases);
-
-                Object.assign(full_history.listings, history.listings);
-
-                full_history.events.push(...history.events);
-
-                start += count;
-                print(`${this.accountId} Fetched ${start} / ${totalCount} records`, "system");
+    async syncPriceHistory(items, currency) {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.priceHistorySync.sync(items, currency);
+    }
 
-                if (start < totalCount && start < maxItems) {
-                    await sleep(MARKET_HISTORY_DELAY);
-                }
-            }
+    async syncMarketHistory() {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.marketHistorySync.sync();
+    }
 
-            print(`${this.accountId} Successfully fetched full market history (${full_history.events.length} events)`, "success");
+    async searchMarketHistory(query) {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.marketHistorySync.fetchMatching(query);
+    }
 
-            return full_history;
-        } catch (error) {
-            print(`${this.accountId} Error fetching full market history: ${error.message}`, "error");
-            throw error;
-        }
+    async loadMarketHistory() {
+        return this.marketHistorySync.loadHistory();
     }
 
     parseMarketHistory(history) {
@@ -675,6 +770,13 @@ export class SteamClient {
         return this.marketAnalyzer.parseMarketHistory(history);
     }
 
+    parseListingLifecycle(history) {
+        if (!this.marketAnalyzer) {
+            throw new Error('Market analyzer not initialized. Please login first.');
+        }
+        return this.marketAnalyzer.parseListingLifecycle(history);
+    }
+
     matchInventoryWithPurchases(transactions, inventory) {
         if (!this.marketAnalyzer) {
             throw new Error('Market analyzer not initialized. Please login first.');
@@ -689,6 +791,20 @@ export class SteamClient {
         return this.marketAnalyzer.calculateROI(transactions);
     }
 
+    summarizeHoldingPeriods(roiResults) {
+        if (!this.marketAnalyzer) {
+            throw new Error('Market analyzer not initialized. Please login first.');
+        }
+        return this.marketAnalyzer.summarizeHoldingPeriods(roiResults);
+    }
+
+    detectAnomalies(data, roiResults) {
+        if (!this.marketAnalyzer) {
+            throw new Error('Market analyzer not initialized. Please login first.');
+        }
+        return this.marketAnalyzer.detectAnomalies(data, roiResults);
+    }
+
     calculateTransactionStatistics(data) {
         if (!this.marketAnalyzer) {
             throw new Error('Market analyzer not initialized. Please login first.');
@@ -696,7 +812,37 @@ export class SteamClient {
         return this.marketAnalyzer.calculateTransactionStatistics(data);
     }
 
-    async httpRequestPost(url, form = {}, options = {}) {
+    async valueMatchedInventory(matchedItems) {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.inventoryValuation.valueItems(matchedItems);
+    }
+
+    /**
+     * Current market prices through the pricing service cache
+     * @param {Array<{appId: number, marketHashName: string}>} items
+     * @param {string} currency - ISO code
+     * @param {Object} options - { maxAge }
+     * @returns {Promise<Map>} see PricingService.getPrices
+     */
+    async getMarketPrices(items, currency, options = {}) {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+        return this.pricingService.getPrices(items, currency, options);
+    }
+
+    // retryUnsuccessful: retry bare { success: false } bodies, see RequestLimiter.assertNotEmpty
+    async httpRequestPost(url, form = {}, { retryUnsuccessful = false, ...options } = {}) {
+        return requestLimiter.execute(this.accountId, () => this.rawHttpRequestPost(url, form, options), { retryUnsuccessful });
+    }
+
+    async httpRequestGet(url, qs = {}, { retryUnsuccessful = false, ...options } = {}) {
+        return requestLimiter.execute(this.accountId, () => this.rawHttpRequestGet(url, qs, options), { retryUnsuccessful });
+    }
+
+    logRequestStats() {
+        requestLimiter.logStats(this.accountId);
+    }
+
+    async rawHttpRequestPost(url, form = {}, options = {}) {
         return new Promise((resolve, reject) => {
             if (!this.community) {
                 reject(new Error('Steam community not initialized'));
@@ -726,7 +872,9 @@ export class SteamClient {
 
                 if (response.statusCode !== 200) {
                     print(`${this.accountId} POST request failed with status ${response.statusCode}`, "error");
-                    reject(new Error(`HTTP ${response.statusCode}: ${body}`));
+                    const httpError = new Error(`HTTP ${response.statusCode}: ${body}`);
+                    httpError.statusCode = response.statusCode;
+                    reject(httpError);
                     return;
                 }
 
@@ -736,7 +884,7 @@ export class SteamClient {
         });
     }
 
-    async httpRequestGet(url, qs = {}, options = {}) {
+    async rawHttpRequestGet(url, qs = {}, options = {}) {
         return new Promise((resolve, reject) => {
             if (!this.community) {
                 reject(new Error('Steam community not initialized'));
@@ -770,7 +918,9 @@ export class SteamClient {
 
                 if (response.statusCode !== 200) {
                     print(`${this.accountId} GET request failed with status ${response.statusCode}`, "error");
-                    reject(new Error(`HTTP ${response.statusCode}`));
+                    const httpError = new Error(`HTTP ${response.statusCode}`);
+                    httpError.statusCode = response.statusCode;
+                    reject(httpError);
                     return;
                 }
 
@@ -781,12 +931,11 @@ export class SteamClient {
     }
 
     async getItemInfo(appID, marketHashName, currency = 'USD') {
-        return new Promise((resolve, reject) => {
-            if (!this.webSessionReady) {
-                reject(new Error('Web session not ready'));
-                return;
-            }
+        if (!this.webSessionReady) {
+            throw new Error('Web session not ready');
+        }
 
+        return requestLimiter.execute(this.accountId, () => new Promise((resolve, reject) => {
             this.community.getMarketItem(appID, marketHashName, currency, (error, item) => {
                 if (error) {
                     print(`${this.accountId} Error fetching market item: ${error.message}`, "error");
@@ -795,11 +944,85 @@ export class SteamClient {
                 }
                 resolve(item);
             });
-        });
+        }));
+    }
+
+    async getPriceOverview(appId, marketHashName, currency = 1) {
+        const url = 'https://steamcommunity.com/market/priceoverview/';
+
+        try {
+            const response = await this.httpRequestGet(url, {
+                appid: appId,
+                market_hash_name: marketHashName,
+                currency: currency
+            });
+
+            if (!response || !response.success) {
+                throw new Error(`No price overview for ${marketHashName}`);
+            }
+
+            return {
+                lowest_price: response.lowest_price || null,
+                median_price: response.median_price || null,
+                volume: response.volume ? Number(String(response.volume).replace(/[^\d]/g, '')) : 0
+            };
+        } catch (error) {
+            print(`${this.accountId} Error fetching price overview: ${error.message}`, "error");
+            throw error;
+        }
+    }
+
+    /**
+     * Median sale price and volume over the item's lifetime
+     * Steam returns daily points for older data and hourly points for roughly the last month
+     * Prices are in the wallet currency of the account, Steam ignores `currency` once a wallet exists
+     * @returns {Promise<Array>} [{ time, price, volume }] with time in unix seconds and price in minor units
+     */
+    async getPriceHistory(appId, marketHashName, currency = 1) {
+        if (!this.isConnected()) throw new Error('Not connected to Steam or web session not ready');
+
+        const url = 'https://steamcommunity.com/market/pricehistory/';
+
+        try {
+            const response = await this.httpRequestGet(url, {
+                appid: appId,
+                market_hash_name: marketHashName,
+                currency: currency
+            });
+
+            if (!response || !response.success) {
+                throw new Error(`No price history for ${marketHashName}`);
+            }
+
+            // Points look like ["Nov 27 2013 01: +0", 0.123, "17"]
+            return (response.prices || [])
+                .map(([date, price, volume]) => ({
+                    time: Math.floor(Date.parse(String(date).replace(/ (\d{2}): \+0$/, " $1:00 +0000")) / 1000),
+                    price: Math.round(Number(price) * 100),
+                    volume: Number(String(volume).replace(/[^\d]/g, '')) || 0
+                }))
+                .filter(point => !Number.isNaN(point.time));
+        } catch (error) {
+            print(`${this.accountId} Error fetching price history: ${error.message}`, "error");
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe to client events (steamGuardRequired, disconnected, error, priceAlert)
+     * @returns {Function} unsubscribe
+     */
+    on(event, listener) {
+        this.events.on(event, listener);
+        return () => this.events.off(event, listener);
     }
 
     emit(event, data) {
         print(`${this.accountId} Event: ${event}`, "system");
-        // TODO Socket.IO or EventEmitter
+
+        // An unhandled 'error' event would throw from EventEmitter
+        if (event === 'error' && this.events.listenerCount('error') === 0) return;
+
+        this.events.emit(event, data);
     }
 }
\ No newline at end of file
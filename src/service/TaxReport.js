@@ -0,0 +1,141 @@
+import { MarketAnalyzer } from "./MarketAnalyzer.js";
+import CurrencyService from "./currency.js";
+
+import {
+    TAX_FISCAL_YEAR_START_MONTH, TAX_FISCAL_YEAR_START_DAY, TAX_COST_BASIS_METHOD, TAX_CURRENCY,
+    CURRENCY_RATES_FILE, CURRENCY_DAILY_RATES_FILE
+} from "../config/app.config.js"
+
+export class TaxReport {
+    constructor(accountId, steamId, options = {}) {
+        this.accountId = accountId;
+        this.steamId = steamId;
+        this.fiscalYearStartMonth = options.fiscalYearStartMonth ?? TAX_FISCAL_YEAR_START_MONTH;
+        this.fiscalYearStartDay = options.fiscalYearStartDay ?? TAX_FISCAL_YEAR_START_DAY;
+        this.costBasisMethod = options.costBasisMethod || TAX_COST_BASIS_METHOD;
+        this.currencyCode = options.currency || TAX_CURRENCY;
+        this.currency = options.currencyService || null;
+    }
+
+    /**
+     * Build the realized-gains statement from raw market history
+     * @param {Object} history - raw market history (assets, purchases, listings, events)
+     * @returns {Object} disposals and per fiscal year totals in the report currency
+     */
+    async build(history) {
+        // The statement has its own cost-basis method and currency, independent of the daily report
+        if (!this.currency) {
+            this.currency = new CurrencyService();
+            await this.currency.initialize({
+                baseCurrency: this.currencyCode,
+                ratesFile: CURRENCY_RATES_FILE,
+                dailyRatesFile: CURRENCY_DAILY_RATES_FILE
+            });
+        }
+
+        const analyzer = new MarketAnalyzer(this.accountId, this.steamId, {
+            matchingMethod: this.costBasisMethod,
+            currency: this.currency
+        });
+
+        const processed = analyzer.parseMarketHistory(history);
+        const pairs = analyzer.calculateROI(processed.transactions);
+
+        const disposals = pairs.map(pair => ({
+            market_name: pair.market_name,
+            appid: pair.appid,
+            acquisition_date: this._formatDate(pair.time_purchase),
+            disposal_date: this._formatDate(pair.time_sale),
+            fiscal_year: this.fiscalYearOf(pair.time_sale),
+            proceeds: pair.sell_price_base,
+            cost: pair.buy_price_base,
+            gain: pair.profit,
+            days_held: pair.days_held,
+            cost_basis_known: true,
+            match_method: pair.match_method,
+            purchase_id: pair.purchase_raw?.id,
+            sale_id: pair.sale_raw?.id
+        }));
+
+        // Sales without a matching purchase still are disposals, only the cost is unknown
+        for (const tx of processed.transactions) {
+            if (tx.role !== "sale" || tx.transaction_status !== "received") continue;
+
+            disposals.push({
+                market_name: tx.purchase.market_name,
+                appid: tx.purchase.appid,
+                acquisition_date: null,
+                disposal_date: this._formatDate(tx.purchase.time_sold),
+                fiscal_year: this.fiscalYearOf(tx.purchase.time_sold),
+                proceeds: tx.purchase.received_amount_base,
+                cost: 0,
+                gain: tx.purchase.received_amount_base,
+                days_held: null,
+                cost_basis_known: false,
+                match_method: null,
+                purchase_id: null,
+                sale_id: tx.purchase.id
+            });
+        }
+
+        disposals.sort((a, b) => (a.disposal_date || "").localeCompare(b.disposal_date || ""));
+
+        const years = new Map();
+        for (const disposal of disposals) {
+            if (!years.has(disposal.fiscal_year)) {
+                years.set(disposal.fiscal_year, {
+                    fiscal_year: disposal.fiscal_year,
+                    disposals: 0,
+                    proceeds: 0,
+                    cost: 0,
+                    gains: 0,
+                    losses: 0,
+                    net_gain: 0,
+                    unknown_cost_disposals: 0
+                });
+            }
+
+            const year = years.get(disposal.fiscal_year);
+            year.disposals++;
+            year.proceeds += disposal.proceeds;
+            year.cost += disposal.cost;
+            if (disposal.gain >= 0) year.gains += disposal.gain;
+            else year.losses += disposal.gain;
+            year.net_gain += disposal.gain;
+            if (!disposal.cost_basis_known) year.unknown_cost_disposals++;
+        }
+
+        return {
+            currency: this.currency.getBaseCurrency(),
+            costBasisMethod: this.costBasisMethod,
+            fiscalYearStart: `${String(this.fiscalYearStartMonth).padStart(2, '0')}-${String(this.fiscalYearStartDay).padStart(2, '0')}`,
+            fiscalYears: Array.from(years.values()).sort((a, b) => String(a.fiscal_year).localeCompare(String(b.fiscal_year))),
+            disposals
+        };
+    }
+
+    /**
+     * Fiscal year label for a unix timestamp: "2024" for calendar years, "2024/25" otherwise
+     */
+    fiscalYearOf(timestamp) {
+        if (timestamp == null) return "unknown";
+
+        const date = new Date(timestamp * 1000);
+        const year = date.getUTCFullYear();
+        const start = Date.UTC(year, this.fiscalYearStartMonth - 1, this.fiscalYearStartDay);
+        const startYear = date.getTime() >= start ? year : year - 1;
+
+        if (this.fiscalYearStartMonth === 1 && this.fiscalYearStartDay === 1) {
+            return String(startYear);
+        }
+
+        return `${startYear}/${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * @private
+     */
+    _formatDate(timestamp) {
+        return timestamp == null ? null : new Date(timestamp * 1000).toISOString().split('T')[0];
+    }
+}
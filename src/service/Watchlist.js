@@ -0,0 +1,187 @@
+import { Op } from "sequelize";
+import { sequelize } from "../module/teapot/sqlite/sqlite_db.js";
+import { WatchlistItem, WatchlistEvaluation } from "../module/teapot/models/index.js";
+import { PricingService } from "./PricingService.js";
+import { currencyService } from "./currency.js";
+import { print } from "../shared/utils.js";
+
+import { WATCHLIST_MAX_PRICE_AGE } from "../config/app.config.js"
+
+/**
+ * Items watched for buy-below / sell-above target prices
+ * Every check is stored; an alert is raised only when a threshold is crossed,
+ * i.e. the signal differs from the one of the item's previous check with a live price
+ * since the item was last changed
+ */
+export class Watchlist {
+    /**
+     * Add an item, or update the passed fields of an existing one
+     * @param {Object} entry - { appId, marketHashName, currency, buyBelow, sellAbove, note } with prices in minor units;
+     *   fields left undefined keep their stored value, null clears them
+     * @returns {Promise<WatchlistItem>}
+     */
+    async add({ appId, marketHashName, currency = currencyService.getBaseCurrency(), buyBelow, sellAbove, note }) {
+        if (!currencyService.toSteamCode(currency)) {
+            throw new Error(`Unsupported currency ${currency}`);
+        }
+
+        const key = { appid: Number(appId), marketHashName, currency };
+        const existing = await WatchlistItem.findOne({ where: key });
+
+        const changes = Object.fromEntries(
+            Object.entries({ buyBelow, sellAbove, note }).filter(([, value]) => value !== undefined)
+        );
+        const thresholds = {
+            buyBelow: existing?.buyBelow ?? null,
+            sellAbove: existing?.sellAbove ?? null,
+            ...changes
+        };
+
+        if (thresholds.buyBelow == null && thresholds.sellAbove == null) {
+            throw new Error('At least one of buy-below or sell-above is required');
+        }
+        if (thresholds.buyBelow != null && thresholds.sellAbove != null && thresholds.buyBelow >= thresholds.sellAbove) {
+            throw new Error('buy-below must be lower than sell-above');
+        }
+
+        if (existing) {
+            return existing.update(changes);
+        }
+
+        return WatchlistItem.create({ ...key, ...changes });
+    }
+
+    async remove(id) {
+        return sequelize.transaction(async (transaction) => {
+            await WatchlistEvaluation.destroy({ where: { watchlistItemId: id }, transaction });
+            return WatchlistItem.destroy({ where: { id }, transaction });
+        });
+    }
+
+    async setEnabled(id, enabled) {
+        const [updated] = await WatchlistItem.update({ enabled }, { where: { id } });
+        return updated;
+    }
+
+    async list({ enabledOnly = false } = {}) {
+        return WatchlistItem.findAll({
+            where: enabledOnly ? { enabled: true } : {},
+            order: [['appid', 'ASC'], ['marketHashName', 'ASC']]
+        });
+    }
+
+    /**
+     * @returns {Promise<Array>} newest first
+     */
+    async evaluations(id, limit = 20) {
+        return WatchlistEvaluation.findAll({
+            where: { watchlistItemId: id },
+            order: [['evaluatedAt', 'DESC'], ['id', 'DESC']],
+            limit
+        });
+    }
+
+    signalFor(item, price) {
+        if (price == null) return null;
+        if (item.buyBelow != null && price <= item.buyBelow) return "buy";
+        if (item.sellAbove != null && price >= item.sellAbove) return "sell";
+        return null;
+    }
+
+    /**
+     * Check current prices of all enabled items through the client and raise alerts
+     * @param {SteamClient} client - alerts are emitted as 'priceAlert' events on it
+     * @returns {Promise<Object>} { evaluated, alerts, unavailable }
+     */
+    async check(client, { maxAge = WATCHLIST_MAX_PRICE_AGE } = {}) {
+        const items = await this.list({ enabledOnly: true });
+        const result = { evaluated: 0, alerts: [], unavailable: 0 };
+
+        if (items.length === 0) {
+            print(`${client.accountId} Watchlist is empty`, "warning");
+            return result;
+        }
+
+        const byCurrency = new Map();
+        for (const item of items) {
+            if (!byCurrency.has(item.currency)) byCurrency.set(item.currency, []);
+            byCurrency.get(item.currency).push(item);
+        }
+
+        for (const [currency, currencyItems] of byCurrency) {
+            const prices = await client.getMarketPrices(
+                currencyItems.map(item => ({ appId: item.appid, marketHashName: item.marketHashName })),
+                currency,
+                { maxAge }
+            );
+
+            for (const item of currencyItems) {
+                const quote = prices.get(PricingService.key(item.appid, item.marketHashName));
+                const alert = await this.evaluate(client, item, quote);
+
+                result.evaluated++;
+                if (quote?.price == null) result.unavailable++;
+                if (alert) result.alerts.push(alert);
+            }
+        }
+
+        print(`${client.accountId} Watchlist checked: ${result.evaluated} item(s), ${result.alerts.length} alert(s), ${result.unavailable} without a price`, "success");
+        return result;
+    }
+
+    async evaluate(client, item, quote) {
+        const price = quote?.price ?? null;
+        const stale = Boolean(quote?.stale);
+        const signal = this.signalFor(item, price);
+
+        // Stale or missing prices never raise an alert, and later checks compare against the last live one.
+        // Checks from before the item was last changed were made against other thresholds and are ignored.
+        const previous = await WatchlistEvaluation.findOne({
+            where: {
+                watchlistItemId: item.id,
+                stale: false,
+                price: { [Op.ne]: null },
+                evaluatedAt: { [Op.gte]: item.updatedAt }
+            },
+            order: [['evaluatedAt', 'DESC'], ['id', 'DESC']]
+        });
+        const crossed = signal !== null && !stale && price !== null && signal !== (previous?.signal ?? null);
+
+        const evaluation = await WatchlistEvaluation.create({
+            watchlistItemId: item.id,
+            evaluatedAt: new Date(),
+            price,
+            lowestPrice: quote?.lowest_price ?? null,
+            medianPrice: quote?.median_price ?? null,
+            volume: quote?.volume ?? null,
+            stale,
+            signal,
+            alerted: crossed
+        });
+
+        if (!crossed) return null;
+
+        const threshold = signal === "buy" ? item.buyBelow : item.sellAbove;
+        const alert = {
+            accountId: client.accountId,
+            watchlistItemId: item.id,
+            evaluationId: evaluation.id,
+            appId: item.appid,
+            marketHashName: item.marketHashName,
+            currency: item.currency,
+            signal,
+            price,
+            threshold,
+            note: item.note,
+            evaluatedAt: evaluation.evaluatedAt
+        };
+
+        client.emit('priceAlert', alert);
+
+        return alert;
+    }
+}
+
+// Singleton instance
+export const watchlist = new Watchlist();
+export default Watchlist;
@@ -0,0 +1,75 @@
+import { readFile, writeFile, rename, rm, mkdir } from 'fs/promises';
+import path from 'path';
+import { encryptionService } from "./encryption.js";
+import { print } from "../shared/utils.js";
+
+import { CHECKPOINT_FOLDER, CHECKPOINT_MAX_AGE } from "../config/app.config.js"
+
+// Progress of long fetches per account, so an interrupted run can resume where it stopped
+class CheckpointStore {
+  constructor(folder = CHECKPOINT_FOLDER, maxAge = CHECKPOINT_MAX_AGE) {
+    this.folder = folder;
+    this.maxAge = maxAge;
+    this.writes = new Map();
+  }
+
+  filePath(accountId, kind) {
+    return path.join(this.folder, `${accountId}_${kind}.checkpoint`);
+  }
+
+  // Checkpoints hold account data, so they are only written when encryption is available
+  isEnabled() {
+    return encryptionService.isInitialized();
+  }
+
+  async load(accountId, kind) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const content = await readFile(this.filePath(accountId, kind), 'utf-8');
+      const checkpoint = encryptionService.decryptObject(content);
+
+      if (Date.now() - new Date(checkpoint.savedAt).getTime() > this.maxAge) {
+        print(`${accountId} Discarding stale ${kind} checkpoint from ${checkpoint.savedAt}`, "warning");
+        await this.clear(accountId, kind);
+        return null;
+      }
+
+      return checkpoint.state;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        print(`${accountId} Unreadable ${kind} checkpoint ignored: ${error.message}`, "warning");
+      }
+      return null;
+    }
+  }
+
+  async save(accountId, kind, state) {
+    if (!this.isEnabled()) return;
+
+    await mkdir(this.folder, { recursive: true });
+
+    const target = this.filePath(accountId, kind);
+    const content = encryptionService.encryptObject({ savedAt: new Date().toISOString(), state });
+
+    // Write then rename, so an interrupt mid-write never leaves a broken checkpoint.
+    // Writes to one file are chained, parallel fetches may save at the same time.
+    const write = (this.writes.get(target) || Promise.resolve())
+      .catch(() => { })
+      .then(async () => {
+        await writeFile(`${target}.tmp`, content, 'utf-8');
+        await rename(`${target}.tmp`, target);
+      });
+
+    this.writes.set(target, write);
+    await write;
+  }
+
+  async clear(accountId, kind) {
+    await rm(this.filePath(accountId, kind), { force: true });
+  }
+}
+
+// Singleton instance
+export const checkpointStore = new CheckpointStore();
+export default CheckpointStore;
@@ -0,0 +1,49 @@
+/**
+ * Split CSV text into records of fields; quoted fields may hold separators and line breaks
+ * @returns {Array<Array<string>>} non-empty records, header included
+ */
+export function parseCsvRecords(content) {
+    // Spreadsheets using decimal commas export with ";" as the separator
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(r => r.some(cell => cell.trim()));
+}
@@ -0,0 +1,164 @@
+import { readFile } from 'fs/promises';
+import { print } from "../shared/utils.js";
+
+// Steam ECurrencyCode -> ISO 4217. Market history reports wallet currencies as 2000 + code.
+export const STEAM_CURRENCIES = {
+  1: 'USD', 2: 'GBP', 3: 'EUR', 4: 'CHF', 5: 'RUB', 6: 'PLN', 7: 'BRL', 8: 'JPY',
+  9: 'NOK', 10: 'IDR', 11: 'MYR', 12: 'PHP', 13: 'SGD', 14: 'THB', 15: 'VND', 16: 'KRW',
+  17: 'TRY', 18: 'UAH', 19: 'MXN', 20: 'CAD', 21: 'AUD', 22: 'NZD', 23: 'CNY', 24: 'INR',
+  25: 'CLP', 26: 'PEN', 27: 'COP', 28: 'ZAR', 29: 'HKD', 30: 'TWD', 31: 'SAR', 32: 'AED',
+  34: 'ARS', 35: 'ILS', 37: 'KZT', 38: 'KWD', 39: 'QAR', 40: 'CRC', 41: 'UYU'
+};
+
+const WALLET_CURRENCY_OFFSET = 2000;
+
+class CurrencyService {
+  constructor() {
+    this.baseCurrency = 'USD';
+    this.referenceCurrency = 'USD';
+    this.rates = {};
+    this.dailyRates = {};
+    this.dailyDates = [];
+    this.missingRates = new Set();
+  }
+
+  // Load rate tables. Rates are units of currency per 1 unit of the table's reference currency.
+  async initialize({ baseCurrency = 'USD', ratesFile = null, dailyRatesFile = null } = {}) {
+    this.baseCurrency = baseCurrency.toUpperCase();
+    this.missingRates.clear();
+
+    if (ratesFile) {
+      const table = await this.readTable(ratesFile);
+      if (table) {
+        this.referenceCurrency = (table.base || this.baseCurrency).toUpperCase();
+        this.rates = this.normalizeRates(table.rates || {});
+      }
+    }
+
+    if (dailyRatesFile) {
+      const table = await this.readTable(dailyRatesFile);
+      if (table) {
+        this.dailyRates = {};
+        for (const [date, rates] of Object.entries(table.rates || table)) {
+          if (date === 'base') continue;
+          this.dailyRates[date] = this.normalizeRates(rates);
+        }
+        this.dailyDates = Object.keys(this.dailyRates).sort();
+      }
+    }
+
+    this.rates[this.referenceCurrency] = 1;
+    return true;
+  }
+
+  async readTable(filePath) {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      print(`Currency rate table ${filePath} not loaded: ${error.message}`, "warning");
+      return null;
+    }
+  }
+
+  normalizeRates(rates) {
+    return Object.fromEntries(
+      Object.entries(rates).map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+    );
+  }
+
+  // Map a Steam currency id (wallet 20xx or plain ECurrencyCode) to an ISO code
+  toIsoCode(currencyId) {
+    if (currencyId === undefined || currencyId === null) return null;
+
+    let code = Number(currencyId);
+    if (code > WALLET_CURRENCY_OFFSET) code -= WALLET_CURRENCY_OFFSET;
+
+    return STEAM_CURRENCIES[code] || null;
+  }
+
+  // Rate of currency against the reference currency, preferring the newest daily table on or before the date
+  getRate(isoCode, timestamp = null) {
+    if (timestamp && this.dailyDates.length > 0) {
+      const date = new Date(timestamp * 1000).toISOString().split('T')[0];
+
+      for (let i = this.dailyDates.length - 1; i >= 0; i--) {
+        if (this.dailyDates[i] > date) continue;
+        const rate = this.dailyRates[this.dailyDates[i]][isoCode];
+        if (rate) return rate;
+        break;
+      }
+    }
+
+    return this.rates[isoCode] || null;
+  }
+
+  /**
+   * Convert an amount in minor units (cents) from a Steam currency into the base currency
+   * @param {number} amount - amount in minor units
+   * @param {number|string} currencyId - Steam currency id or ISO code
+   * @param {number} timestamp - unix seconds, used to pick a daily rate
+   * @returns {number} converted amount in minor units, or the original amount if no rate is known
+   */
+  convert(amount, currencyId, timestamp = null) {
+    if (!amount) return 0;
+
+    const from = typeof currencyId === 'string' && isNaN(Number(currencyId))
+      ? currencyId.toUpperCase()
+      : this.toIsoCode(currencyId);
+
+    if (!from || from === this.baseCurrency) return amount;
+
+    const fromRate = this.getRate(from, timestamp);
+    const baseRate = this.getRate(this.baseCurrency, timestamp);
+
+    if (!fromRate || !baseRate) {
+      if (!this.missingRates.has(from)) {
+        this.missingRates.add(from);
+        print(`No exchange rate for ${from} -> ${this.baseCurrency}, amounts left unconverted`, "warning");
+      }
+      return amount;
+    }
+
+    return Math.round((amount / fromRate) * baseRate);
+  }
+
+  // Map an ISO code back to Steam's ECurrencyCode, e.g. for price lookups
+  toSteamCode(isoCode) {
+    const entry = Object.entries(STEAM_CURRENCIES).find(([, iso]) => iso === String(isoCode).toUpperCase());
+    return entry ? Number(entry[0]) : null;
+  }
+
+  // Parse a formatted Steam price ("$1.23", "1,23€", "1 234,56₴") into minor units
+  parsePrice(priceText) {
+    if (priceText === undefined || priceText === null) return null;
+    if (typeof priceText === 'number') return Math.round(priceText * 100);
+
+    const text = String(priceText).replace(/[^\d.,]/g, '').replace(/^[.,]+|[.,]+$/g, '');
+    if (!text) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalIndex = Math.max(lastComma, lastDot);
+
+    // A separator followed by exactly 1-2 digits is the decimal point, anything else groups thousands
+    if (decimalIndex !== -1 && text.length - decimalIndex - 1 <= 2) {
+      const integer = text.substring(0, decimalIndex).replace(/[.,]/g, '');
+      const fraction = text.substring(decimalIndex + 1).padEnd(2, '0');
+      return Number(integer || 0) * 100 + Number(fraction);
+    }
+
+    return Number(text.replace(/[.,]/g, '')) * 100;
+  }
+
+  getBaseCurrency() {
+    return this.baseCurrency;
+  }
+
+  getMissingRates() {
+    return Array.from(this.missingRates);
+  }
+}
+
+// Singleton instance
+export const currencyService = new CurrencyService();
+export default CurrencyService;
@@ -0,0 +1,81 @@
+import { readFile, writeFile, readdir, stat, mkdir } from 'fs/promises';
+import path from 'path';
+import { encryptionService } from "./encryption.js";
+
+import { CACHE_FOLDER } from "../config/app.config.js"
+
+const CACHE_EXTENSION = '.cache';
+
+// Encrypted snapshots of raw Steam data, used to rebuild reports without network access
+class DataCache {
+  constructor(folder = CACHE_FOLDER) {
+    this.folder = folder;
+  }
+
+  // Save raw data for an account, returns the cache file path
+  async save(accountId, payload) {
+    if (!encryptionService.isInitialized()) {
+      throw new Error('Encryption service not initialized');
+    }
+
+    await mkdir(this.folder, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const fileName = `${accountId}_${createdAt.replace(/[:.]/g, '-')}${CACHE_EXTENSION}`;
+    const filePath = path.join(this.folder, fileName);
+
+    const content = encryptionService.encryptObject({ accountId, createdAt, ...payload });
+    await writeFile(filePath, content, 'utf-8');
+
+    return filePath;
+  }
+
+  // List cache files, newest first, optionally for one account
+  async list(accountId = null) {
+    let files;
+    try {
+      files = await readdir(this.folder);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith(CACHE_EXTENSION)) continue;
+
+      const separator = file.lastIndexOf('_');
+      const fileAccountId = file.substring(0, separator);
+      if (accountId && fileAccountId !== accountId) continue;
+
+      const filePath = path.join(this.folder, file);
+      const { mtime } = await stat(filePath);
+      entries.push({ accountId: fileAccountId, filePath, modifiedAt: mtime });
+    }
+
+    return entries.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  // Load a chosen cache file, or the newest one (for an account if given)
+  async load(filePath = null, accountId = null) {
+    if (!encryptionService.isInitialized()) {
+      throw new Error('Encryption service not initialized');
+    }
+
+    let target = filePath;
+    if (!target) {
+      const [newest] = await this.list(accountId);
+      if (!newest) {
+        throw new Error(accountId ? `No cached data found for ${accountId}` : 'No cached data found');
+      }
+      target = newest.filePath;
+    }
+
+    const content = await readFile(target, 'utf-8');
+    return { filePath: target, ...encryptionService.decryptObject(content) };
+  }
+}
+
+// Singleton instance
+export const dataCache = new DataCache();
+export default DataCache;
@@ -0,0 +1,85 @@
+import { STEAM_FEE_RATE, DEFAULT_PUBLISHER_FEE_RATE, PUBLISHER_FEE_RATES, MIN_MARKET_FEE } from "../config/app.config.js"
+
+// Steam market fee model. All amounts are in minor units (cents) of the wallet currency.
+// Mirrors the calculation on the Steam market sell dialog: every fee is floored and at least MIN_MARKET_FEE.
+
+export function getPublisherFeeRate(appId) {
+  const rate = PUBLISHER_FEE_RATES?.[String(appId)];
+  return rate !== undefined ? Number(rate) : DEFAULT_PUBLISHER_FEE_RATE;
+}
+
+/**
+ * Fees and buyer price for the amount the seller wants to receive
+ * @param {number} receivedAmount - amount the seller receives
+ * @param {number} appId - app id, selects the publisher fee rate
+ * @returns {Object} { steam_fee, publisher_fee, fees, amount } where amount is what the buyer pays
+ */
+export function calculateFeesForSellerAmount(receivedAmount, appId = null) {
+  const publisherRate = getPublisherFeeRate(appId);
+
+  const steamFee = Math.floor(Math.max(receivedAmount * STEAM_FEE_RATE, MIN_MARKET_FEE));
+  const publisherFee = publisherRate > 0
+    ? Math.floor(Math.max(receivedAmount * publisherRate, MIN_MARKET_FEE))
+    : 0;
+
+  return {
+    steam_fee: steamFee,
+    publisher_fee: publisherFee,
+    fees: steamFee + publisherFee,
+    amount: receivedAmount + steamFee + publisherFee
+  };
+}
+
+/**
+ * Split a buyer price into the seller's amount and fees
+ * @param {number} buyerPrice - price the buyer pays
+ * @param {number} appId - app id, selects the publisher fee rate
+ * @returns {Object} { received, steam_fee, publisher_fee, fees, amount }
+ */
+export function calculateFeesForBuyerPrice(buyerPrice, appId = null) {
+  if (!buyerPrice || buyerPrice <= 0) {
+    return { received: 0, steam_fee: 0, publisher_fee: 0, fees: 0, amount: 0 };
+  }
+
+  const publisherRate = getPublisherFeeRate(appId);
+  let estimated = Math.floor(buyerPrice / (STEAM_FEE_RATE + publisherRate + 1));
+  let everUndershot = false;
+  let fees = calculateFeesForSellerAmount(estimated, appId);
+
+  // Floors and minimum fees make the inverse non-linear, so walk towards the exact price
+  for (let iterations = 0; fees.amount !== buyerPrice && iterations < 10; iterations++) {
+    if (fees.amount > buyerPrice) {
+      if (everUndershot) {
+        fees = calculateFeesForSellerAmount(estimated - 1, appId);
+        fees.steam_fee += buyerPrice - fees.amount;
+        fees.fees += buyerPrice - fees.amount;
+        fees.amount = buyerPrice;
+        estimated--;
+        break;
+      }
+      estimated--;
+    } else {
+      everUndershot = true;
+      estimated++;
+    }
+    fees = calculateFeesForSellerAmount(estimated, appId);
+  }
+
+  return { received: Math.max(fees.amount - fees.fees, 0), ...fees };
+}
+
+// Amount the seller receives when an item sells at buyerPrice
+export function buyerPriceToSellerReceives(buyerPrice, appId = null) {
+  return calculateFeesForBuyerPrice(buyerPrice, appId).received;
+}
+
+// Buyer price needed for the seller to receive receivedAmount
+export function sellerReceivesToBuyerPrice(receivedAmount, appId = null) {
+  if (!receivedAmount || receivedAmount <= 0) return 0;
+  return calculateFeesForSellerAmount(receivedAmount, appId).amount;
+}
+
+// Lowest list price at which a sale returns at least the cost
+export function breakEvenListPrice(cost, appId = null) {
+  return sellerReceivesToBuyerPrice(Math.max(Math.ceil(cost), 1), appId);
+}
@@ -0,0 +1,143 @@
+// Structured item attributes from Steam inventory tags and description text
+
+// Tag categories holding each attribute, per app. The first category present wins.
+const TAG_CATEGORIES = {
+  // CS2
+  730: {
+    rarity: ["Rarity"],
+    quality: ["Quality"],
+    exterior: ["Exterior"],
+    weapon_type: ["Weapon", "Type"],
+    collection: ["ItemSet"],
+    hero: []
+  },
+  // Dota 2
+  570: {
+    rarity: ["Rarity"],
+    quality: ["Quality"],
+    exterior: [],
+    weapon_type: ["Slot", "Type"],
+    collection: ["ItemSet", "Set"],
+    hero: ["Hero"]
+  },
+  // TF2: "Class" plays the role of the hero, all-class items carry every class
+  440: {
+    rarity: ["Rarity"],
+    quality: ["Quality"],
+    exterior: ["Exterior"],
+    weapon_type: ["Type"],
+    collection: ["Collection", "ItemSet"],
+    hero: ["Class"]
+  },
+  default: {
+    rarity: ["Rarity"],
+    quality: ["Quality"],
+    exterior: ["Exterior"],
+    weapon_type: ["Weapon", "Type"],
+    collection: ["ItemSet", "Collection"],
+    hero: ["Hero", "Class"]
+  }
+};
+
+// "Tradable After Oct 26, 2026 (7:00:00) GMT", "Tradable/Marketable After ..."
+const COOLDOWN_PATTERN = /(Tradable\/Marketable|Tradable|Marketable)\s+After\s+([A-Za-z]{3,9}\s+\d{1,2},\s+\d{4})(?:\s*\((\d{1,2}:\d{2}:\d{2})\))?\s*(GMT|UTC)?/i;
+
+export const ITEM_ATTRIBUTES = ["rarity", "quality", "exterior", "weapon_type", "collection", "hero"];
+
+// TradeOfferManager tags have { category, name }, the community endpoint { category, localized_tag_name }
+function tagValues(tags, category) {
+  return (tags || [])
+    .filter(tag => tag.category === category)
+    .map(tag => tag.localized_tag_name ?? tag.name ?? tag.internal_name)
+    .filter(Boolean);
+}
+
+function cooldownDates(item) {
+  const texts = [...(item.owner_descriptions || []), ...(item.descriptions || [])]
+    .map(description => description?.value)
+    .filter(Boolean);
+
+  let tradableAfter = null;
+  let marketableAfter = null;
+
+  for (const text of texts) {
+    const match = text.match(COOLDOWN_PATTERN);
+    if (!match) continue;
+
+    const [, kind, day, time = "00:00:00"] = match;
+    const date = new Date(`${day} ${time} GMT`);
+    if (Number.isNaN(date.getTime())) continue;
+
+    const label = kind.toLowerCase();
+    if (label !== "marketable" && !tradableAfter) tradableAfter = date;
+    if (label !== "tradable" && !marketableAfter) marketableAfter = date;
+  }
+
+  // CS2 items on trade hold report the end of the hold as cache_expiration
+  if (!tradableAfter && item.cache_expiration && item.tradable === false) {
+    const expiration = new Date(item.cache_expiration);
+    if (!Number.isNaN(expiration.getTime())) tradableAfter = expiration;
+  }
+
+  return { tradableAfter, marketableAfter };
+}
+
+/**
+ * @param {Object} item - getInventory / getInventoryAPI item
+ * @param {number} appId
+ * @returns {Object} { rarity, rarity_color, quality, exterior, weapon_type, collection, hero, tradable_after, marketable_after }
+ */
+export function parseItemAttributes(item, appId = item.appId) {
+  const categories = TAG_CATEGORIES[appId] || TAG_CATEGORIES.default;
+  const attributes = {};
+
+  for (const attribute of ITEM_ATTRIBUTES) {
+    let values = [];
+    for (const category of categories[attribute]) {
+      values = tagValues(item.tags, category);
+      if (values.length > 0) break;
+    }
+    attributes[attribute] = values.length > 0 ? values.join(", ") : null;
+  }
+
+  const rarityTag = (item.tags || []).find(tag => tag.category === "Rarity");
+  const { tradableAfter, marketableAfter } = cooldownDates(item);
+
+  return {
+    ...attributes,
+    rarity_color: rarityTag?.color || null,
+    tradable_after: tradableAfter,
+    marketable_after: marketableAfter
+  };
+}
+
+/**
+ * Count items per app, rarity and collection
+ * @param {Array} items - inventory items
+ * @returns {Array} [{ appId, rarity, collection, items, tradable, marketable, names }] sorted by app, then count
+ */
+export function groupByRarityAndCollection(items) {
+  const groups = new Map();
+
+  for (const item of items) {
+    const attributes = parseItemAttributes(item);
+    const rarity = attributes.rarity || "Unknown";
+    const collection = attributes.collection || "None";
+    const key = `${item.appId}|${rarity}|${collection}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { appId: item.appId, rarity, collection, items: 0, tradable: 0, marketable: 0, names: new Set() });
+    }
+
+    const group = groups.get(key);
+    const amount = Number(item.amount) || 1;
+    group.items += amount;
+    if (item.tradable) group.tradable += amount;
+    if (item.marketable) group.marketable += amount;
+    group.names.add(item.market_hash_name || item.name);
+  }
+
+  return Array.from(groups.values())
+    .map(group => ({ ...group, names: Array.from(group.names).filter(Boolean).sort() }))
+    .sort((a, b) => (Number(a.appId) - Number(b.appId)) || (b.items - a.items));
+}
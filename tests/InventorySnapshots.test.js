@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { InventorySnapshots } from "../src/service/InventorySnapshots.js";
+
+function item(appid, assetid, { name = `Item ${assetid}`, amount = 1, tradable = true, marketable = true, contextid = "2" } = {}) {
+    return { appid, contextid, assetid, marketHashName: name, amount, tradable, marketable };
+}
+
+function snapshot(id, sources, items) {
+    return { id, takenAt: new Date(Date.UTC(2024, 0, id)), sources, items };
+}
+
+describe("InventorySnapshots.diff", () => {
+    const snapshots = new InventorySnapshots();
+
+    it("lists gained and lost asset ids", () => {
+        const diff = snapshots.diff(
+            snapshot(1, ["730:2"], [item(730, "1"), item(730, "2")]),
+            snapshot(2, ["730:2"], [item(730, "2"), item(730, "3")])
+        );
+
+        assert.deepEqual(diff.gained.map(i => [i.change, i.assetid, i.market_hash_name]), [["gained", "3", "Item 3"]]);
+        assert.deepEqual(diff.lost.map(i => [i.change, i.assetid]), [["lost", "1"]]);
+        assert.deepEqual(diff.changed, []);
+        assert.deepEqual(diff.summary, { gainedCount: 1, lostCount: 1, changedCount: 0, ignoredSources: [] });
+    });
+
+    it("reports items on trade hold as untradable instead of lost", () => {
+        const diff = snapshots.diff(
+            snapshot(1, ["730:2"], [item(730, "1"), item(730, "2", { amount: 5 })]),
+            snapshot(2, ["730:2"], [item(730, "1", { tradable: false, marketable: false }), item(730, "2", { amount: 3 })])
+        );
+
+        assert.deepEqual(diff.lost, []);
+        assert.deepEqual(diff.changed.map(i => [i.assetid, i.change]), [
+            ["1", "became untradable, became unmarketable"],
+            ["2", "amount 5 -> 3"]
+        ]);
+        assert.equal(diff.changed[0].tradable_before, true);
+        assert.equal(diff.changed[1].amount_before, 5);
+    });
+
+    it("leaves out inventories fetched in only one snapshot", () => {
+        const diff = snapshots.diff(
+            snapshot(1, ["730:2", "440:2"], [item(730, "1"), item(440, "7")]),
+            snapshot(2, ["730:2", "753:6"], [item(730, "1"), item(753, "9", { contextid: "6" })])
+        );
+
+        assert.deepEqual(diff.sources, ["730:2"]);
+        assert.deepEqual(diff.gained, []);
+        assert.deepEqual(diff.lost, []);
+        assert.deepEqual(diff.summary.ignoredSources, ["440:2", "753:6"]);
+    });
+
+    it("tells apart equal asset ids of different contexts", () => {
+        const diff = snapshots.diff(
+            snapshot(1, ["753:6", "753:7"], [item(753, "1", { contextid: "6" })]),
+            snapshot(2, ["753:6", "753:7"], [item(753, "1", { contextid: "7" })])
+        );
+
+        assert.deepEqual(diff.gained.map(i => i.contextid), ["7"]);
+        assert.deepEqual(diff.lost.map(i => i.contextid), ["6"]);
+    });
+});
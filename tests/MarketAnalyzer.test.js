@@ -0,0 +1,225 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { MarketAnalyzer } from "../src/service/MarketAnalyzer.js";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+const OWNER = "76561198000000001";
+const BUYER = "76561198000000002";
+const USD = "2001";
+
+function purchase(time, paid, { name = "Operation Case", assetid = `a${time}`, newId = null } = {}) {
+    return {
+        steamid_purchaser: OWNER,
+        asset: { appid: 730, contextid: "2", id: assetid, new_id: newId },
+        market_name: name,
+        paid_amount: paid,
+        paid_fee: 0,
+        currencyid: USD,
+        received_amount: paid,
+        received_currencyid: USD,
+        time_sold: time
+    };
+}
+
+function sale(time, received, { name = "Operation Case", assetid = `s${time}` } = {}) {
+    return {
+        steamid_purchaser: BUYER,
+        asset: { appid: 730, contextid: "2", id: assetid },
+        market_name: name,
+        paid_amount: received,
+        paid_fee: 0,
+        currencyid: USD,
+        received_amount: received,
+        received_currencyid: USD,
+        time_sold: time
+    };
+}
+
+function analyze(purchases, matchingMethod = "fifo") {
+    const analyzer = new MarketAnalyzer("test", OWNER, { matchingMethod });
+    const data = analyzer.parseMarketHistory({ assets: {}, purchases });
+    return { analyzer, data, roi: analyzer.calculateROI(data.transactions) };
+}
+
+const LOTS = {
+    p1: purchase(1000, 100),
+    p2: purchase(2000, 300),
+    s1: sale(3000, 250)
+};
+
+describe("MarketAnalyzer lot matching", () => {
+    it("pairs a sale with the oldest open lot under fifo", () => {
+        const { data, roi } = analyze(LOTS, "fifo");
+
+        assert.equal(roi.length, 1);
+        assert.equal(roi[0].transaction_id, "p1");
+        assert.equal(roi[0].buy_price_base, 100);
+        assert.equal(roi[0].profit, 150);
+        assert.equal(roi[0].match_method, "fifo");
+        assert.equal(data.completed_purchases_count, 1);
+        assert.equal(data.uncompleted_purchases_count, 1);
+    });
+
+    it("pairs a sale with the newest open lot under lifo", () => {
+        const { roi } = analyze(LOTS, "lifo");
+
+        assert.equal(roi.length, 1);
+        assert.equal(roi[0].transaction_id, "p2");
+        assert.equal(roi[0].buy_price_base, 300);
+        assert.equal(roi[0].profit, -50);
+    });
+
+    it("costs a sale at the pool average under average", () => {
+        const { roi } = analyze({ ...LOTS, p3: purchase(2500, 101) }, "average");
+
+        assert.equal(roi.length, 1);
+        assert.equal(roi[0].transaction_id, "p1");
+        assert.equal(roi[0].buy_price_base, 167);
+        assert.equal(roi[0].profit, 83);
+    });
+
+    it("takes the remaining pool cost for later sales under average", () => {
+        const { roi } = analyze({ ...LOTS, s2: sale(4000, 400) }, "average");
+
+        assert.deepEqual(roi.map(r => r.buy_price_base), [200, 200]);
+    });
+
+    it("does not pair a sale with a lot bought after it", () => {
+        const { data, roi } = analyze({ s1: sale(1000, 250), p1: purchase(2000, 100) });
+
+        assert.equal(roi.length, 0);
+        assert.equal(data.received_sales_count, 1);
+        assert.equal(data.uncompleted_purchases_count, 1);
+    });
+
+    it("keeps lots of different items apart", () => {
+        const { roi } = analyze({ p1: purchase(1000, 100, { name: "Other Case" }), s1: sale(2000, 250) });
+
+        assert.equal(roi.length, 0);
+    });
+
+    it("prefers an exact asset id match over lot order", () => {
+        const { roi } = analyze({
+            p1: purchase(1000, 100),
+            p2: purchase(2000, 300, { newId: "listed" }),
+            s1: sale(3000, 250, { assetid: "listed" })
+        }, "fifo");
+
+        assert.equal(roi.length, 1);
+        assert.equal(roi[0].transaction_id, "p2");
+        assert.equal(roi[0].match_method, "asset_id");
+    });
+
+    it("rejects unknown matching methods", () => {
+        assert.throws(() => new MarketAnalyzer("test", OWNER, { matchingMethod: "hifo" }), /Unknown matching method/);
+    });
+});
+
+describe("MarketAnalyzer timeline", () => {
+    const analyzer = new MarketAnalyzer("test", OWNER);
+    const at = (...date) => Date.UTC(...date) / 1000;
+
+    it("labels day, month and year in UTC", () => {
+        const keys = analyzer._periodKeys(at(2024, 2, 15, 23, 30));
+
+        assert.equal(keys.day, "2024-03-15");
+        assert.equal(keys.month, "2024-03");
+        assert.equal(keys.year, "2024");
+    });
+
+    it("labels ISO weeks by the year of their Thursday", () => {
+        assert.equal(analyzer._periodKeys(at(2021, 0, 1)).week, "2020-W53");
+        assert.equal(analyzer._periodKeys(at(2024, 11, 30)).week, "2025-W01");
+        assert.equal(analyzer._periodKeys(at(2024, 0, 1)).week, "2024-W01");
+        assert.equal(analyzer._periodKeys(at(2024, 0, 7)).week, "2024-W01");
+        assert.equal(analyzer._periodKeys(at(2024, 0, 8)).week, "2024-W02");
+    });
+
+    it("buckets purchases and sales by period in order", () => {
+        const { analyzer: statsAnalyzer, data } = analyze({
+            p1: purchase(at(2024, 0, 31), 100),
+            p2: purchase(at(2024, 1, 1), 300),
+            s1: sale(at(2024, 1, 2), 250)
+        });
+
+        const { timeline } = statsAnalyzer.calculateTransactionStatistics(data);
+
+        assert.deepEqual(timeline.month.map(b => [b.period, b.invested, b.received, b.profit]), [
+            ["2024-01", 100, 0, -100],
+            ["2024-02", 300, 250, -50]
+        ]);
+        assert.deepEqual(timeline.month[1].investedOriginal, { USD: 300 });
+        assert.equal(timeline.year.length, 1);
+        assert.equal(timeline.year[0].purchases, 2);
+        assert.equal(timeline.year[0].sales, 1);
+    });
+});
+
+describe("MarketAnalyzer.detectAnomalies", () => {
+    const HOUR = 3600;
+    const REDLINE = "AK-47 | Redline (Field-Tested)";
+
+    function anomaliesOf(purchases, anomalyThresholds = {}) {
+        const analyzer = new MarketAnalyzer("test", OWNER, { anomalyThresholds });
+        const data = analyzer.parseMarketHistory({ assets: {}, purchases });
+        return analyzer.detectAnomalies(data, analyzer.calculateROI(data.transactions));
+    }
+
+    const ofType = (anomalies, type) => anomalies.filter(a => a.type === type);
+
+    it("reports records of one item with the same time and amount as possible duplicates", () => {
+        const anomalies = anomaliesOf({
+            p1: purchase(1000, 500, { name: REDLINE, assetid: "x1" }),
+            p2: purchase(1000, 500, { name: REDLINE, assetid: "x2" }),
+            p3: purchase(1000, 600, { name: REDLINE, assetid: "x3" }),
+            p4: purchase(1000, 500, { name: "AK-47 | Redline (Minimal Wear)", assetid: "x4" })
+        });
+
+        const duplicates = ofType(anomalies, "possible_duplicate");
+        assert.equal(duplicates.length, 1);
+        assert.equal(duplicates[0].market_name, REDLINE);
+        assert.deepEqual(duplicates[0].transaction_ids, ["p1", "p2"]);
+    });
+
+    it("flags sales more than the loss threshold below cost", () => {
+        const anomalies = anomaliesOf({
+            p1: purchase(1000, 1000, { name: "Loss" }),
+            s1: sale(2000, 700, { name: "Loss" }),
+            p2: purchase(1000, 1000, { name: "Small loss" }),
+            s2: sale(2000, 900, { name: "Small loss" })
+        });
+
+        const losses = ofType(anomalies, "sale_below_cost");
+        assert.equal(losses.length, 1);
+        assert.equal(losses[0].market_name, "Loss");
+        assert.equal(losses[0].value, -30);
+        assert.deepEqual(losses[0].transaction_ids, ["p1", "s1"]);
+    });
+
+    it("reports a purchase burst once with every purchase inside the window", () => {
+        const purchases = {};
+        for (let i = 0; i < 6; i++) {
+            purchases[`p${i}`] = purchase(1000 + i * 4 * HOUR, 100 + i);
+        }
+        purchases.late = purchase(1000 + 30 * HOUR, 200);
+
+        const bursts = ofType(anomaliesOf(purchases), "purchase_burst");
+        assert.equal(bursts.length, 1);
+        assert.equal(bursts[0].value, 6);
+        assert.deepEqual(bursts[0].transaction_ids, ["p0", "p1", "p2", "p3", "p4", "p5"]);
+    });
+
+    it("uses the configured burst thresholds", () => {
+        const purchases = {
+            p1: purchase(1000, 100),
+            p2: purchase(1000 + HOUR, 101),
+            p3: purchase(1000 + 3 * HOUR, 102)
+        };
+
+        assert.equal(ofType(anomaliesOf(purchases), "purchase_burst").length, 0);
+        assert.equal(ofType(anomaliesOf(purchases, { burstPurchaseCount: 3, burstWindowHours: 2 }), "purchase_burst").length, 0);
+        assert.equal(ofType(anomaliesOf(purchases, { burstPurchaseCount: 3, burstWindowHours: 3 }), "purchase_burst").length, 1);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { MarketHistoryFilter } from "../src/service/MarketHistoryFilter.js";
+import { MarketAnalyzer } from "../src/service/MarketAnalyzer.js";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+const OWNER = "76561198000000001";
+const BUYER = "76561198000000002";
+const at = (...date) => Date.UTC(...date) / 1000;
+
+function record(buyer, name, time, amount) {
+    return {
+        steamid_purchaser: buyer,
+        asset: { appid: 730, contextid: "2", id: `${name}:${time}` },
+        market_name: name,
+        paid_amount: amount,
+        paid_fee: 0,
+        currencyid: "2001",
+        received_amount: amount,
+        received_currencyid: "2001",
+        time_sold: time
+    };
+}
+
+describe("MarketHistoryFilter.fromCli", () => {
+    it("covers the whole day of a plain --until date", () => {
+        const filter = MarketHistoryFilter.fromCli({ since: "2024-02-01", until: "2024-02-29", app: "730, 570" });
+
+        assert.equal(filter.since, at(2024, 1, 1));
+        assert.equal(filter.until, at(2024, 2, 1) - 1);
+        assert.deepEqual(filter.appIds, [730, 570]);
+    });
+
+    it("rejects unparseable dates and app ids", () => {
+        assert.throws(() => MarketHistoryFilter.fromCli({ since: "someday" }), /Invalid --since date/);
+        assert.throws(() => MarketHistoryFilter.fromCli({ app: "cs2" }), /Invalid --app value "cs2"/);
+    });
+});
+
+describe("MarketHistoryFilter.filterParsedHistory", () => {
+    const analyzer = new MarketAnalyzer("test", OWNER);
+    const parsed = analyzer.parseMarketHistory({
+        assets: {},
+        purchases: {
+            boughtBefore: record(OWNER, "Sold in window", at(2024, 0, 10), 100),
+            soldInWindow: record(BUYER, "Sold in window", at(2024, 1, 10), 150),
+            boughtInWindow: record(OWNER, "Sold after window", at(2024, 1, 5), 200),
+            soldAfter: record(BUYER, "Sold after window", at(2024, 2, 5), 300),
+            boughtEarly: record(OWNER, "Sold before window", at(2024, 0, 1), 50),
+            soldEarly: record(BUYER, "Sold before window", at(2024, 0, 20), 60),
+            held: record(OWNER, "Held", at(2024, 1, 15), 70)
+        }
+    });
+    const filter = MarketHistoryFilter.fromCli({ since: "2024-02-01", until: "2024-02-29" });
+    const filtered = filter.filterParsedHistory(parsed);
+    const byId = id => filtered.transactions.find(t => t.purchase_id === id);
+
+    it("keeps an earlier purchase paired with a sale in the window", () => {
+        assert.equal(byId("boughtBefore").transaction_status, "completed");
+        assert.equal(byId("boughtBefore").linked_sale_id, "soldInWindow");
+        assert.equal(byId("soldInWindow").transaction_status, "completed");
+
+        const roi = analyzer.calculateROI(filtered.transactions);
+        assert.deepEqual(roi.map(r => [r.transaction_id, r.profit]), [["boughtBefore", 50]]);
+    });
+
+    it("reports a purchase in the window sold after it as open", () => {
+        const purchase = byId("boughtInWindow");
+
+        assert.equal(purchase.transaction_status, "uncompleted");
+        assert.equal(purchase.linked_sale_id, null);
+        assert.equal(purchase.sold_after_window, true);
+        assert.equal(byId("soldAfter"), undefined);
+    });
+
+    it("drops pairs completed outside the window", () => {
+        assert.equal(byId("boughtEarly"), undefined);
+        assert.equal(byId("soldEarly"), undefined);
+    });
+
+    it("recounts the filtered transactions", () => {
+        assert.equal(filtered.purchases_count, 3);
+        assert.equal(filtered.completed_purchases_count, 1);
+        assert.equal(filtered.uncompleted_purchases_count, 2);
+        assert.equal(filtered.sales_count, 1);
+        assert.equal(filtered.received_sales_count, 0);
+    });
+
+    it("leaves the parsed history untouched without a time window", () => {
+        assert.equal(MarketHistoryFilter.fromCli({ app: "730" }).filterParsedHistory(parsed), parsed);
+        assert.equal(parsed.transactions.find(t => t.purchase_id === "boughtInWindow").transaction_status, "completed");
+    });
+});
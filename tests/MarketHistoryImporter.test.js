@@ -0,0 +1,161 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { MarketHistoryImporter, IMPORT_OWNER, emptyMarketHistory } from "../src/service/MarketHistoryImporter.js";
+import { LISTING_EVENTS } from "../src/service/MarketAnalyzer.js";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+const OWNER = "76561198000000001";
+
+describe("MarketHistoryImporter row mapping", () => {
+    it("maps columns from the first row naming a date, an item and a price", () => {
+        const importer = new MarketHistoryImporter();
+        const rows = importer.rowsToObjects([
+            ["Market transactions"],
+            ["Date Acted", "Game", "Item Name", "Type", "Listing Price"],
+            ["2024-03-05", "Counter-Strike 2", "Operation Case", "+", "$0.45"]
+        ]);
+
+        assert.deepEqual(rows, [
+            { date: "2024-03-05", game: "Counter-Strike 2", name: "Operation Case", type: "+", price: "$0.45" }
+        ]);
+    });
+
+    it("returns no rows without a header", () => {
+        assert.deepEqual(new MarketHistoryImporter().rowsToObjects([["a", "b"], ["1", "2"]]), []);
+    });
+
+    it("reads the row type from Steam's +/- marks and words", () => {
+        const importer = new MarketHistoryImporter();
+
+        assert.equal(importer.rowType("+"), "purchase");
+        assert.equal(importer.rowType("Purchased"), "purchase");
+        assert.equal(importer.rowType("−"), "sale");
+        assert.equal(importer.rowType("Sold"), "sale");
+        assert.equal(importer.rowType("Listing created"), null);
+    });
+
+    it("maps game names and numeric app ids", () => {
+        const importer = new MarketHistoryImporter();
+
+        assert.equal(importer.appIdOf("Counter-Strike 2"), 730);
+        assert.equal(importer.appIdOf("252490"), 252490);
+        assert.equal(importer.appIdOf("Unknown Game"), null);
+    });
+
+    it("records purchase rows as purchases of the owner at the paid price", () => {
+        const importer = new MarketHistoryImporter({ currency: "EUR" });
+        const history = emptyMarketHistory();
+
+        assert.equal(importer.addTableRow(history, { date: "2024-03-05", game: "CS2", name: "Operation Case", type: "+", price: "1,15€" }, OWNER), true);
+
+        const [purchase] = Object.values(history.purchases);
+        assert.equal(purchase.steamid_purchaser, OWNER);
+        assert.equal(purchase.paid_amount + purchase.paid_fee, 115);
+        assert.equal(purchase.paid_amount, 100);
+        assert.equal(purchase.currencyid, "2003");
+        assert.equal(purchase.time_sold, Date.UTC(2024, 2, 5) / 1000);
+        assert.equal(history.assets[730]["2"][purchase.asset.id].market_hash_name, "Operation Case");
+        assert.equal(history.events[0].event_type, LISTING_EVENTS.PURCHASED);
+        assert.deepEqual(history.listings, {});
+    });
+
+    it("records sale rows with a listing and the seller's share of the buyer price", () => {
+        const importer = new MarketHistoryImporter({ currency: "USD" });
+        const history = emptyMarketHistory();
+
+        importer.addTableRow(history, { date: "2024-03-06", game: "730", name: "Operation Case", type: "-", price: "$1.15", currency: "GBP" }, OWNER);
+
+        const [purchase] = Object.values(history.purchases);
+        assert.equal(purchase.steamid_purchaser, null);
+        assert.equal(purchase.received_amount, 100);
+        assert.equal(purchase.received_currencyid, "2002");
+        assert.equal(history.listings[purchase.listingid].original_price, 115);
+        assert.equal(history.events[0].event_type, LISTING_EVENTS.SOLD);
+    });
+
+    it("skips rows without a type, date or price", () => {
+        const importer = new MarketHistoryImporter();
+        const history = emptyMarketHistory();
+
+        assert.equal(importer.addTableRow(history, { date: "2024-03-05", name: "Case", type: "?", price: "1" }, OWNER), false);
+        assert.equal(importer.addTableRow(history, { date: "soon", name: "Case", type: "+", price: "1" }, OWNER), false);
+        assert.equal(importer.addTableRow(history, { date: "2024-03-05", name: "Case", type: "+", price: "" }, OWNER), false);
+        assert.deepEqual(history.purchases, {});
+    });
+});
+
+describe("MarketHistoryImporter.import", () => {
+    let dir;
+
+    const page = (events = []) => ({
+        success: true,
+        assets: {},
+        purchases: {
+            "1_2": {
+                listingid: "1",
+                purchaseid: "2",
+                steamid_purchaser: OWNER,
+                asset: { appid: 730, contextid: "2", id: "9" },
+                paid_amount: 100,
+                paid_fee: 15,
+                currencyid: "2001",
+                time_sold: 1700000000
+            }
+        },
+        listings: {},
+        events
+    });
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), "easteam-import-"));
+        await writeFile(path.join(dir, "anonymous.json"), JSON.stringify(page()));
+        await writeFile(path.join(dir, "listed.json"), JSON.stringify(page([
+            { listingid: "5", event_type: LISTING_EVENTS.CREATED, time_event: 1690000000, steamid_actor: OWNER }
+        ])));
+        await writeFile(path.join(dir, "export.csv"), [
+            "Date;Item;Type;Price",
+            "2024-03-05;\"Sticker | \"\"Quoted\"\"\nHolo\";+;1,15",
+            ""
+        ].join("\n"));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("refuses raw pages whose owner is unknown", async () => {
+        await assert.rejects(
+            new MarketHistoryImporter().import([path.join(dir, "anonymous.json")]),
+            /owner of the imported market history is unknown/
+        );
+    });
+
+    it("takes the owner from --steamid", async () => {
+        const { steamId, history } = await new MarketHistoryImporter({ steamId: OWNER }).import([path.join(dir, "anonymous.json")]);
+
+        assert.equal(steamId, OWNER);
+        assert.deepEqual(Object.keys(history.purchases), ["1_2"]);
+    });
+
+    it("infers the owner from the actor of listing created events", async () => {
+        const { steamId } = await new MarketHistoryImporter().import([path.join(dir, "listed.json")]);
+
+        assert.equal(steamId, OWNER);
+    });
+
+    it("records exported tables under the marker owner", async () => {
+        const { steamId, history } = await new MarketHistoryImporter({ currency: "EUR" }).import([path.join(dir, "export.csv")]);
+
+        assert.equal(steamId, IMPORT_OWNER);
+
+        const [purchase] = Object.values(history.purchases);
+        assert.equal(purchase.market_name, "Sticker | \"Quoted\"\nHolo");
+        assert.equal(purchase.steamid_purchaser, IMPORT_OWNER);
+        assert.equal(purchase.paid_amount + purchase.paid_fee, 115);
+    });
+});
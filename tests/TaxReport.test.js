@@ -0,0 +1,80 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { TaxReport } from "../src/service/TaxReport.js";
+import CurrencyService from "../src/service/currency.js";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+const OWNER = "76561198000000001";
+const at = (...date) => Date.UTC(...date) / 1000;
+
+describe("TaxReport.fiscalYearOf", () => {
+    it("labels calendar fiscal years by their year", () => {
+        const report = new TaxReport("test", OWNER, { fiscalYearStartMonth: 1, fiscalYearStartDay: 1 });
+
+        assert.equal(report.fiscalYearOf(at(2024, 0, 1)), "2024");
+        assert.equal(report.fiscalYearOf(at(2024, 11, 31, 23, 59)), "2024");
+    });
+
+    it("labels other fiscal years by both years they span", () => {
+        const report = new TaxReport("test", OWNER, { fiscalYearStartMonth: 4, fiscalYearStartDay: 6 });
+
+        assert.equal(report.fiscalYearOf(at(2024, 3, 5, 23, 59)), "2023/24");
+        assert.equal(report.fiscalYearOf(at(2024, 3, 6)), "2024/25");
+        assert.equal(report.fiscalYearOf(at(2025, 0, 15)), "2024/25");
+    });
+
+    it("wraps the short label at the century", () => {
+        const report = new TaxReport("test", OWNER, { fiscalYearStartMonth: 7, fiscalYearStartDay: 1 });
+
+        assert.equal(report.fiscalYearOf(at(1999, 11, 31)), "1999/00");
+    });
+
+    it("labels records without a time as unknown", () => {
+        assert.equal(new TaxReport("test", OWNER).fiscalYearOf(null), "unknown");
+    });
+});
+
+describe("TaxReport.build", () => {
+    function record(buyer, time, amount, assetid) {
+        return {
+            steamid_purchaser: buyer,
+            asset: { appid: 730, contextid: "2", id: assetid },
+            market_name: "Operation Case",
+            paid_amount: amount,
+            paid_fee: 0,
+            currencyid: "2001",
+            received_amount: amount,
+            received_currencyid: "2001",
+            time_sold: time
+        };
+    }
+
+    it("totals disposals per fiscal year, counting sales without a purchase at zero cost", async () => {
+        const report = new TaxReport("test", OWNER, {
+            fiscalYearStartMonth: 4,
+            fiscalYearStartDay: 6,
+            costBasisMethod: "fifo",
+            currencyService: new CurrencyService()
+        });
+
+        const statement = await report.build({
+            assets: {},
+            purchases: {
+                p1: record(OWNER, at(2024, 0, 10), 100, "a1"),
+                s1: record("76561198000000002", at(2024, 3, 1), 150, "s1"),
+                p2: record(OWNER, at(2024, 4, 1), 300, "a2"),
+                s2: record("76561198000000002", at(2024, 5, 1), 200, "s2"),
+                s3: record("76561198000000002", at(2024, 6, 1), 50, "s3")
+            }
+        });
+
+        assert.equal(statement.fiscalYearStart, "04-06");
+        assert.deepEqual(statement.fiscalYears.map(y => [y.fiscal_year, y.disposals, y.gains, y.losses, y.net_gain, y.unknown_cost_disposals]), [
+            ["2023/24", 1, 50, 0, 50, 0],
+            ["2024/25", 2, 50, -100, -50, 1]
+        ]);
+        assert.deepEqual(statement.disposals.map(d => d.sale_id), ["s1", "s2", "s3"]);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+// The database module reads its storage on import
+process.env.SQLITE_STORAGE = ":memory:";
+const { sequelize } = await import("../src/module/teapot/sqlite/sqlite_db.js");
+const { syncModels } = await import("../src/module/teapot/models/index.js");
+const { Watchlist } = await import("../src/service/Watchlist.js");
+const { sleep } = await import("../src/shared/utils.js");
+
+describe("Watchlist", () => {
+    const watchlist = new Watchlist();
+    const client = { accountId: "test", emit: () => {} };
+
+    before(async () => {
+        await syncModels();
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    it("updates only the passed fields of an existing item", async () => {
+        const created = await watchlist.add({ appId: 730, marketHashName: "Partial Case", currency: "USD", buyBelow: 40, sellAbove: 90, note: "restock" });
+        await watchlist.setEnabled(created.id, false);
+
+        const updated = await watchlist.add({ appId: 730, marketHashName: "Partial Case", currency: "USD", sellAbove: 120 });
+        await updated.reload();
+
+        assert.equal(updated.id, created.id);
+        assert.equal(updated.buyBelow, 40);
+        assert.equal(updated.sellAbove, 120);
+        assert.equal(updated.note, "restock");
+        assert.equal(updated.enabled, false);
+    });
+
+    it("clears fields passed as null", async () => {
+        await watchlist.add({ appId: 730, marketHashName: "Cleared Case", currency: "USD", buyBelow: 40, sellAbove: 90, note: "restock" });
+
+        const updated = await watchlist.add({ appId: 730, marketHashName: "Cleared Case", currency: "USD", buyBelow: null, note: null });
+
+        assert.equal(updated.buyBelow, null);
+        assert.equal(updated.sellAbove, 90);
+        assert.equal(updated.note, null);
+    });
+
+    it("validates the stored thresholds merged with the passed ones", async () => {
+        await watchlist.add({ appId: 730, marketHashName: "Validated Case", currency: "USD", buyBelow: 50 });
+
+        await assert.rejects(
+            watchlist.add({ appId: 730, marketHashName: "Validated Case", currency: "USD", sellAbove: 40 }),
+            /buy-below must be lower than sell-above/
+        );
+        await assert.rejects(
+            watchlist.add({ appId: 730, marketHashName: "Validated Case", currency: "USD", buyBelow: null }),
+            /At least one of buy-below or sell-above is required/
+        );
+
+        const [item] = (await watchlist.list()).filter(i => i.marketHashName === "Validated Case");
+        assert.equal(item.buyBelow, 50);
+        assert.equal(item.sellAbove, null);
+    });
+
+    it("rejects unsupported currencies", async () => {
+        await assert.rejects(
+            watchlist.add({ appId: 730, marketHashName: "Any Case", currency: "XYZ", buyBelow: 10 }),
+            /Unsupported currency XYZ/
+        );
+    });
+
+    it("alerts when a threshold is crossed, and again after the item changed", async () => {
+        const item = await watchlist.add({ appId: 730, marketHashName: "Alert Case", currency: "USD", buyBelow: 40 });
+
+        assert.equal((await watchlist.evaluate(client, item, { price: 35 }))?.signal, "buy");
+        assert.equal(await watchlist.evaluate(client, item, { price: 30 }), null);
+        assert.equal(await watchlist.evaluate(client, item, { price: 20, stale: true }), null);
+
+        // Checks in the millisecond of the change would still count as checks of the changed item
+        await sleep(5);
+        const updated = await watchlist.add({ appId: 730, marketHashName: "Alert Case", currency: "USD", note: "re-armed" });
+        const alert = await watchlist.evaluate(client, updated, { price: 30 });
+
+        assert.equal(alert?.signal, "buy");
+        assert.equal(alert.threshold, 40);
+        assert.equal(alert.note, "re-armed");
+    });
+});
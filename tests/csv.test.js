@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsvRecords } from "../src/service/csv.js";
+
+describe("parseCsvRecords", () => {
+    it("splits records on commas and line breaks", () => {
+        assert.deepEqual(parseCsvRecords("Date,Item,Price\r\n2024-03-05,Operation Case,$0.45\n"), [
+            ["Date", "Item", "Price"],
+            ["2024-03-05", "Operation Case", "$0.45"]
+        ]);
+    });
+
+    it("keeps separators and line breaks inside quoted fields", () => {
+        const content = 'Item,Price\n"Sticker | Team, Holo","1,15€"\n"Name over\r\ntwo lines",2\n';
+
+        assert.deepEqual(parseCsvRecords(content), [
+            ["Item", "Price"],
+            ["Sticker | Team, Holo", "1,15€"],
+            ["Name over\r\ntwo lines", "2"]
+        ]);
+    });
+
+    it("unescapes doubled quotes", () => {
+        assert.deepEqual(parseCsvRecords('Item\n"StatTrak™ ""Quoted"" Name"'), [
+            ["Item"],
+            ['StatTrak™ "Quoted" Name']
+        ]);
+    });
+
+    it("uses semicolons when the header has more of them than commas", () => {
+        assert.deepEqual(parseCsvRecords("Date;Item;Price\n2024-03-05;Case, Operation;1,15"), [
+            ["Date", "Item", "Price"],
+            ["2024-03-05", "Case, Operation", "1,15"]
+        ]);
+    });
+
+    it("drops empty records and keeps a last record without a line break", () => {
+        assert.deepEqual(parseCsvRecords("a,b\n\n , \n1,2"), [
+            ["a", "b"],
+            ["1", "2"]
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import CurrencyService from "../src/service/currency.js";
+
+// Log lines on stdout can corrupt the test runner's result stream
+mock.method(console, "log", () => {});
+
+describe("CurrencyService.parsePrice", () => {
+    const currency = new CurrencyService();
+
+    it("parses dot and comma decimals into minor units", () => {
+        assert.equal(currency.parsePrice("$1.23"), 123);
+        assert.equal(currency.parsePrice("1,23€"), 123);
+        assert.equal(currency.parsePrice("0,5 zł"), 50);
+    });
+
+    it("treats separators not followed by 1-2 digits as thousands groups", () => {
+        assert.equal(currency.parsePrice("1 234,56₴"), 123456);
+        assert.equal(currency.parsePrice("$1,234.56"), 123456);
+        assert.equal(currency.parsePrice("1.234,56€"), 123456);
+        assert.equal(currency.parsePrice("¥ 1,234"), 123400);
+    });
+
+    it("reads numbers as major units", () => {
+        assert.equal(currency.parsePrice(0.45), 45);
+        assert.equal(currency.parsePrice(12), 1200);
+    });
+
+    it("returns null for missing or digitless prices", () => {
+        assert.equal(currency.parsePrice(null), null);
+        assert.equal(currency.parsePrice(undefined), null);
+        assert.equal(currency.parsePrice("--"), null);
+    });
+});
+
+describe("CurrencyService.convert", () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), "easteam-currency-"));
+        await writeFile(path.join(dir, "rates.json"), JSON.stringify({ base: "USD", rates: { EUR: 0.8, UAH: 40 } }));
+        await writeFile(path.join(dir, "daily.json"), JSON.stringify({
+            base: "USD",
+            rates: { "2024-01-01": { EUR: 0.5, UAH: 40 } }
+        }));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    async function service(baseCurrency, daily = false) {
+        const currency = new CurrencyService();
+        await currency.initialize({
+            baseCurrency,
+            ratesFile: path.join(dir, "rates.json"),
+            dailyRatesFile: daily ? path.join(dir, "daily.json") : null
+        });
+        return currency;
+    }
+
+    it("converts wallet currency ids and ISO codes into the base currency", async () => {
+        const currency = await service("USD");
+
+        assert.equal(currency.convert(800, 2003), 1000);
+        assert.equal(currency.convert(800, "EUR"), 1000);
+        assert.equal(currency.convert(4000, "2018"), 100);
+    });
+
+    it("converts across two non-reference currencies", async () => {
+        const currency = await service("EUR");
+
+        assert.equal(currency.convert(4000, "UAH"), 80);
+        assert.equal(currency.convert(100, "USD"), 80);
+    });
+
+    it("leaves base currency amounts unchanged", async () => {
+        const currency = await service("EUR");
+
+        assert.equal(currency.convert(123, 2003), 123);
+    });
+
+    it("prefers the newest daily rate on or before the transaction date", async () => {
+        const currency = await service("USD", true);
+        const jan2 = Date.UTC(2024, 0, 2) / 1000;
+        const dec31 = Date.UTC(2023, 11, 31) / 1000;
+
+        assert.equal(currency.convert(500, "EUR", jan2), 1000);
+        assert.equal(currency.convert(800, "EUR", dec31), 1000);
+    });
+
+    it("returns the amount unconverted and records currencies without a rate", async () => {
+        const currency = await service("USD");
+
+        assert.equal(currency.convert(500, "GBP"), 500);
+        assert.deepEqual(currency.getMissingRates(), ["GBP"]);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    calculateFeesForSellerAmount,
+    calculateFeesForBuyerPrice,
+    buyerPriceToSellerReceives,
+    sellerReceivesToBuyerPrice,
+    breakEvenListPrice
+} from "../src/service/fees.js";
+
+// Default fee model: 5% Steam fee, 10% publisher fee, each floored and at least 1
+const APP = 730;
+
+describe("fees", () => {
+    it("adds the floored Steam and publisher fees to the seller amount", () => {
+        assert.deepEqual(calculateFeesForSellerAmount(100, APP), { steam_fee: 5, publisher_fee: 10, fees: 15, amount: 115 });
+        assert.deepEqual(calculateFeesForSellerAmount(139, APP), { steam_fee: 6, publisher_fee: 13, fees: 19, amount: 158 });
+    });
+
+    it("charges the minimum fee on small amounts", () => {
+        assert.deepEqual(calculateFeesForSellerAmount(1, APP), { steam_fee: 1, publisher_fee: 1, fees: 2, amount: 3 });
+    });
+
+    it("splits a buyer price into the seller amount and fees", () => {
+        assert.deepEqual(calculateFeesForBuyerPrice(115, APP), { received: 100, steam_fee: 5, publisher_fee: 10, fees: 15, amount: 115 });
+        assert.equal(buyerPriceToSellerReceives(3, APP), 1);
+        assert.equal(buyerPriceToSellerReceives(0, APP), 0);
+    });
+
+    it("accounts for every cent of buyer prices no seller amount produces", () => {
+        const split = calculateFeesForBuyerPrice(116, APP);
+
+        assert.equal(split.received, 101);
+        assert.equal(split.received + split.fees, 116);
+    });
+
+    it("inverts the seller amount calculation", () => {
+        for (let received = 1; received <= 2000; received++) {
+            assert.equal(buyerPriceToSellerReceives(sellerReceivesToBuyerPrice(received, APP), APP), received);
+        }
+    });
+
+    it("sums to the buyer price for every price", () => {
+        for (let price = 3; price <= 2000; price++) {
+            const split = calculateFeesForBuyerPrice(price, APP);
+            assert.equal(split.received + split.fees, price);
+            assert.equal(split.amount, price);
+        }
+    });
+
+    it("finds the lowest list price that returns the cost", () => {
+        assert.equal(breakEvenListPrice(100, APP), 115);
+        assert.equal(breakEvenListPrice(99.2, APP), 115);
+
+        for (let cost = 1; cost <= 2000; cost++) {
+            const price = breakEvenListPrice(cost, APP);
+            assert.ok(buyerPriceToSellerReceives(price, APP) >= cost);
+            assert.ok(buyerPriceToSellerReceives(price - 1, APP) < cost);
+        }
+    });
+});